@@ -0,0 +1,77 @@
+// Compares parsing test/replies/rutgers_routeConfig.xml with jsdom, as the
+// client used to, against the sax parser it uses now.  Run with
+// `make bench` or `node bench/parse.js [iterations]`.
+
+var fs      = require('fs'),
+    path    = require('path'),
+    jsdom   = require('jsdom'),
+    sax     = require('../lib/sax'),
+    nextbus = require('../lib/index').client;
+
+var xml = fs.readFileSync(path.join(__dirname, '../test/replies/rutgers_routeConfig.xml'), 'utf8'),
+    iterations = Number(process.argv[2]) || 5;
+
+// reads every stop the way the old cacheAgency did
+function withJsdom () {
+   var doc = jsdom.jsdom(xml), routes, stops, i, j, count = 0;
+
+   routes = doc.getElementsByTagName('route');
+   for (i = 0; i < routes.length; i++) {
+      stops = routes.item(i).getElementsByTagName('stop');
+      for (j = 0; j < stops.length; j++) {
+         if (stops.item(j).getAttribute('title')) {
+            count++;
+         }
+      }
+   }
+   doc.parentWindow.close();
+   return count;
+}
+
+function withSax () {
+   var count = 0;
+
+   sax.parse(xml, {
+      open: function (name, attrs) {
+         if (name === 'stop' && attrs.title) {
+            count++;
+         }
+      }
+   });
+   return count;
+}
+
+function cacheAgency (done) {
+   var client = nextbus({agency: 'rutgers', transport: function (url, signal, cb) {
+      cb(null, {status: 200, body: xml});
+   }});
+   client.cacheAgency(null, done);
+}
+
+function time (name, fn, next) {
+   var i = 0, start = Date.now(), heap = process.memoryUsage().heapUsed;
+
+   (function run () {
+      if (i++ === iterations) {
+         console.log(name + ': ' + ((Date.now() - start) / iterations).toFixed(1) +
+                     'ms per run, heap grew ' +
+                     ((process.memoryUsage().heapUsed - heap) / 1048576).toFixed(1) + 'MB');
+         next();
+         return;
+      }
+      if (fn.length) {
+         fn(run);
+      } else {
+         fn();
+         setImmediate(run);
+      }
+   }());
+}
+
+console.log('rutgers_routeConfig.xml, ' + (xml.length / 1024).toFixed(0) + 'KB, ' +
+            iterations + ' iterations');
+time('jsdom', withJsdom, function () {
+   time('sax', withSax, function () {
+      time('sax cacheAgency', cacheAgency, function () {});
+   });
+});
@@ -0,0 +1,75 @@
+/*
+   Class: emitter
+   A small event emitter, enough of node's EventEmitter for the client's
+   trackers to use in both node and titanium, which has no events module.
+
+   Unlike node's, emitting 'error' without a listener doesn't throw; the
+   error is dropped.
+*/
+
+/*
+   Function: create
+   Creates an emitter.
+
+   Parameters:
+      target   - *object* optional, gets the emitter functions added to it
+
+   Returns:
+      *object* with on, once, off and emit.  on, once and off return the
+      emitter so calls can be chained.
+*/
+function create (target) {
+   var emitter = target || {},
+       listeners = {};
+
+   function on (type, listener) {
+      (listeners[type] = listeners[type] || []).push(listener);
+      return emitter;
+   }
+
+   function once (type, listener) {
+      function wrapper () {
+         off(type, wrapper);
+         listener.apply(emitter, arguments);
+      }
+      wrapper.listener = listener;
+      return on(type, wrapper);
+   }
+
+   // without a listener, removes all of type's listeners
+   function off (type, listener) {
+      var list = listeners[type] || [], i;
+
+      if (!listener) {
+         delete listeners[type];
+         return emitter;
+      }
+      for (i = list.length - 1; i >= 0; i--) {
+         if (list[i] === listener || list[i].listener === listener) {
+            list.splice(i, 1);
+            break;
+         }
+      }
+      return emitter;
+   }
+
+   function emit (type) {
+      var args = [].slice.call(arguments, 1),
+          list = (listeners[type] || []).slice();
+
+      list.forEach(function (listener) {
+         listener.apply(emitter, args);
+      });
+      return list.length > 0;
+   }
+
+   emitter.on = on;
+   emitter.addListener = on;
+   emitter.once = once;
+   emitter.off = off;
+   emitter.removeListener = off;
+   emitter.emit = emit;
+   return emitter;
+}
+
+exports.create = create;
@@ -0,0 +1,93 @@
+/*
+   Class: errors
+   Errors given to callbacks (or thrown) by the client.  They all inherit from
+   NextbusError and have a 'code' that won't change between releases, so it
+   is what to match on rather than the message.  Errors from a query also
+   carry the 'url' and 'command' being run.
+
+      NextbusError          - ENEXTBUS, base class of the others
+      NoCacheError          - ENOCACHE, the agency hasn't been cached yet
+      UnknownRouteError     - EUNKNOWNROUTE, 'route' isn't in the cache
+      UnknownDirectionError - EUNKNOWNDIRECTION, 'direction' isn't one of the
+                              route's
+      UnknownStopError      - EUNKNOWNSTOP, 'stop' isn't in the cache
+      InvalidArgumentError  - EINVALIDARG, a bad option or argument
+      HttpError             - EHTTP, non 200 response, with its 'status'
+      NetworkError          - ENETWORK, the request failed, the transport's
+                              error is its 'cause'
+      ParseError            - EPARSE, the response couldn't be understood
+      NextbusApiError       - ENEXTBUSAPI, nextbus answered with an Error
+                              element, whose text is the message.  Has a
+                              boolean 'shouldRetry'.
+      TimeoutError          - ETIMEOUT, the query took longer than timeoutMs
+      AbortError            - EABORTED, the client was destroyed
+*/
+
+function init (err, message, props) {
+   var key;
+
+   err.message = message;
+   if (Error.captureStackTrace) {
+      Error.captureStackTrace(err, err.constructor);
+   } else {
+      err.stack = (new Error(message)).stack;
+   }
+
+   for (key in props) {
+      if (props.hasOwnProperty(key)) {
+         err[key] = props[key];
+      }
+   }
+}
+
+/*
+   Function: define
+   Creates an error class.
+
+   Parameters:
+      name     - *string* class name, also the errors' name
+      code     - *string* the errors' code
+      message  - *string* message used when the constructor isn't given one
+      Parent   - *function* class to inherit from
+
+   Returns:
+      *function (message, props)* constructor, copying any properties of
+      props onto the error
+*/
+function define (name, code, message, Parent) {
+   var Class = function (msg, props) {
+      init(this, msg || message, props);
+   };
+
+   Class.prototype = Object.create(Parent.prototype);
+   Class.prototype.constructor = Class;
+   Class.prototype.name = name;
+   Class.prototype.code = code;
+   return Class;
+}
+
+var NextbusError = define('NextbusError', 'ENEXTBUS', 'nextbus error', Error);
+
+exports.NextbusError = NextbusError;
+exports.NoCacheError = define('NoCacheError', 'ENOCACHE',
+   'no agency cache', NextbusError);
+exports.UnknownRouteError = define('UnknownRouteError', 'EUNKNOWNROUTE',
+   'route not found', NextbusError);
+exports.UnknownDirectionError = define('UnknownDirectionError',
+   'EUNKNOWNDIRECTION', 'direction not found', NextbusError);
+exports.UnknownStopError = define('UnknownStopError', 'EUNKNOWNSTOP',
+   'stop not found', NextbusError);
+exports.InvalidArgumentError = define('InvalidArgumentError', 'EINVALIDARG',
+   'invalid argument', NextbusError);
+exports.HttpError = define('HttpError', 'EHTTP',
+   'bad http response', NextbusError);
+exports.NetworkError = define('NetworkError', 'ENETWORK',
+   'network error', NextbusError);
+exports.ParseError = define('ParseError', 'EPARSE',
+   'XML Parse Error', NextbusError);
+exports.NextbusApiError = define('NextbusApiError', 'ENEXTBUSAPI',
+   'nextbus api error', NextbusError);
+exports.TimeoutError = define('TimeoutError', 'ETIMEOUT',
+   'request timed out', NextbusError);
+exports.AbortError = define('AbortError', 'EABORTED',
+   'query aborted', NextbusError);
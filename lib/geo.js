@@ -0,0 +1,257 @@
+/*
+   Class: geo
+   Great-circle math on lat/lon points.  Distances are in meters and bearings
+   in degrees clockwise from north.
+*/
+var EARTH_RADIUS = 6371008.8;
+
+function rad (deg) {
+   return deg * Math.PI / 180;
+}
+
+function deg (rad) {
+   return rad * 180 / Math.PI;
+}
+
+/*
+   Function: distance
+   Haversine distance between two points.
+
+   Parameters:
+      lat1, lon1  - *Number* first point
+      lat2, lon2  - *Number* second point
+
+   Returns:
+      *Number* distance in meters
+*/
+function distance (lat1, lon1, lat2, lon2) {
+   var dLat = rad(lat2 - lat1),
+       dLon = rad(lon2 - lon1),
+       a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+           Math.cos(rad(lat1)) * Math.cos(rad(lat2)) *
+           Math.sin(dLon / 2) * Math.sin(dLon / 2);
+
+   return 2 * EARTH_RADIUS * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+/*
+   Function: bearing
+   Initial bearing to take from the first point to reach the second.
+
+   Parameters:
+      lat1, lon1  - *Number* starting point
+      lat2, lon2  - *Number* destination
+
+   Returns:
+      *Number* bearing in degrees, from 0 up to 360
+*/
+function bearing (lat1, lon1, lat2, lon2) {
+   var dLon = rad(lon2 - lon1),
+       y = Math.sin(dLon) * Math.cos(rad(lat2)),
+       x = Math.cos(rad(lat1)) * Math.sin(rad(lat2)) -
+           Math.sin(rad(lat1)) * Math.cos(rad(lat2)) * Math.cos(dLon);
+
+   return (deg(Math.atan2(y, x)) + 360) % 360;
+}
+
+/*
+   Function: fence
+   Builds a test for whether points lie within a geofence.
+
+   Parameters:
+      spec  - *object* either a bounding box with any of latMin, latMax,
+              lonMin and lonMax, or a GeoJSON Polygon, MultiPolygon, Feature
+              or FeatureCollection.  Points on the edge of a bounding box are
+              inside it.
+
+   Returns:
+      *function (lat, lon)* returning true if the point is inside the fence
+
+   Throws:
+      TypeError if the spec isn't a bounding box or supported GeoJSON.
+*/
+function fence (spec) {
+   var polygons;
+
+   if (!spec || typeof spec !== 'object') {
+      throw new TypeError('geofence must be a bounding box or GeoJSON polygon');
+   }
+
+   if (spec.type === undefined) {
+      return function (lat, lon) {
+         lat = Number(lat);
+         lon = Number(lon);
+         return (spec.latMin == null || lat >= spec.latMin) &&
+                (spec.latMax == null || lat <= spec.latMax) &&
+                (spec.lonMin == null || lon >= spec.lonMin) &&
+                (spec.lonMax == null || lon <= spec.lonMax);
+      };
+   }
+
+   polygons = geoJSONPolygons(spec);
+   return function (lat, lon) {
+      lat = Number(lat);
+      lon = Number(lon);
+      return polygons.some(function (polygon) {
+         // the first ring is the outline, the rest are holes
+         return polygon.every(function (ring, i) {
+            return inRing(ring, lat, lon) === (i === 0);
+         });
+      });
+   };
+}
+
+// Collects the polygons, as arrays of rings, of a GeoJSON object
+function geoJSONPolygons (obj) {
+   switch (obj && obj.type) {
+      case 'Polygon':
+         return [obj.coordinates];
+      case 'MultiPolygon':
+         return obj.coordinates;
+      case 'Feature':
+         return geoJSONPolygons(obj.geometry);
+      case 'FeatureCollection':
+         return obj.features.reduce(function (memo, feature) {
+            return memo.concat(geoJSONPolygons(feature));
+         }, []);
+      default:
+         throw new TypeError('unsupported GeoJSON type for a geofence: ' +
+                             (obj && obj.type));
+   }
+}
+
+// Ray casting; GeoJSON positions are [lon, lat]
+function inRing (ring, lat, lon) {
+   var inside = false, i, j, xi, yi, xj, yj;
+
+   for (i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      xi = ring[i][0]; yi = ring[i][1];
+      xj = ring[j][0]; yj = ring[j][1];
+      if ((yi > lat) !== (yj > lat) &&
+          lon < (xj - xi) * (lat - yi) / (yj - yi) + xi) {
+         inside = !inside;
+      }
+   }
+
+   return inside;
+}
+
+/*
+   Function: clipPolylines
+   Cuts the parts of polylines that leave a geofence out of them.  A polyline
+   which leaves the fence and comes back is split in two.
+
+   Parameters:
+      polylines   - *array* of arrays of {lat, lon} points
+      inside      - *function (lat, lon)* from <fence>
+
+   Returns:
+      *array* of the polylines inside the fence
+*/
+function clipPolylines (polylines, inside) {
+   var ret = [];
+
+   polylines.forEach(function (polyline) {
+      var piece = [];
+      polyline.forEach(function (point) {
+         if (inside(point.lat, point.lon)) {
+            piece.push(point);
+         } else {
+            if (piece.length > 1) {
+               ret.push(piece);
+            }
+            piece = [];
+         }
+      });
+      if (piece.length > 1) {
+         ret.push(piece);
+      }
+   });
+
+   return ret;
+}
+
+/*
+   Function: lengths
+   Distances along a polyline.
+
+   Parameters:
+      polyline    - *array* of {lat, lon} points
+
+   Returns:
+      *array* with the distance in meters from the start of the polyline to
+      each of its points
+*/
+function lengths (polyline) {
+   var ret = [], total = 0;
+
+   polyline.forEach(function (point, i) {
+      if (i > 0) {
+         total += distance(polyline[i - 1].lat, polyline[i - 1].lon,
+                           point.lat, point.lon);
+      }
+      ret.push(total);
+   });
+
+   return ret;
+}
+
+/*
+   Function: nearestPoint
+   Finds the point of a polyline closest to a point.  The segments are short
+   enough to treat as flat, so this projects onto them in meters around the
+   point.
+
+   Parameters:
+      polyline    - *array* of {lat, lon} points, at least one
+      lat, lon    - *Number* point
+
+   Returns:
+      *object* with
+
+      lat, lon    - *Number* closest point on the polyline
+      index       - *Number* index of the segment's first point
+      fraction    - *Number* how far along the segment it is, from 0 to 1
+      distance    - *Number* meters from the point to the polyline
+*/
+function nearestPoint (polyline, lat, lon) {
+   var scale, best = null, i, a, b, ax, ay, dx, dy, len, t, x, y, d;
+
+   lat = Number(lat);
+   lon = Number(lon);
+   scale = Math.cos(rad(lat));
+
+   for (i = 0; i < Math.max(polyline.length - 1, 1); i++) {
+      a = polyline[i];
+      b = polyline[Math.min(i + 1, polyline.length - 1)];
+      ax = rad(a.lon - lon) * scale;
+      ay = rad(a.lat - lat);
+      dx = rad(b.lon - a.lon) * scale;
+      dy = rad(b.lat - a.lat);
+      len = dx * dx + dy * dy;
+      t = len === 0 ? 0 : Math.max(0, Math.min(1, -(ax * dx + ay * dy) / len));
+      x = ax + t * dx;
+      y = ay + t * dy;
+      d = x * x + y * y;
+      if (best === null || d < best.d) {
+         best = {d: d, index: i, fraction: t, a: a, b: b};
+      }
+   }
+
+   lat = best.a.lat + best.fraction * (best.b.lat - best.a.lat);
+   lon = best.a.lon + best.fraction * (best.b.lon - best.a.lon);
+   return {
+      lat      : lat,
+      lon      : lon,
+      index    : best.index,
+      fraction : best.fraction,
+      distance : Math.sqrt(best.d) * EARTH_RADIUS
+   };
+}
+
+exports.distance = distance;
+exports.bearing = bearing;
+exports.fence = fence;
+exports.clipPolylines = clipPolylines;
+exports.lengths = lengths;
+exports.nearestPoint = nearestPoint;
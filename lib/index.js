@@ -1,6 +1,10 @@
-var xmlparse,           // xml parser
-    request,            // for running get requests
+var sax,                // xml parser
+    defaultTransport,   // for running get requests
     geohash,            // geohashing lib
+    geo,                // distance math
+    errors,             // error classes
+    jsonfeed,           // reads the JSON feed
+    emitter,            // events for trackers and watchers
     isTi;               // boolean representing whether we're in titanium
 
 isTi = true;
@@ -13,83 +17,227 @@ try {
    isTi = false;
 }
 
-function log () {
-  if (isTi) ([].slice.call(arguments)).forEach(function (a) { Ti.API.debug(a); });
-  else console.log.call(arguments);
-}
-
 // work in Titanium hopefully
 if (!isTi) {
-   var jsdom = require('jsdom');
-   xmlparse = function (data, callback) {
-      var doc, win;
-      try {
-         doc = jsdom.jsdom(data);
-         callback(null, {document: doc});
-      } catch (e) {
-         callback(e, null);
-      }
+   // A transport gets a url and an AbortSignal like object, and calls back
+   // with the response's status and body.  Aborting the signal should stop
+   // the request; the client ignores anything called back after that.  With
+   // onData, the body of a 200 response is handed to it in chunks as they
+   // arrive, and left out of the response called back.
+   defaultTransport = function (url, signal, callback, onData) {
+      var status, body = '', ended = false,
+          req = require('request').get({url: url, encoding: 'utf8'});
+
+      req.on('response', function (response) {
+         status = response.statusCode;
+      });
+      req.on('data', function (chunk) {
+         if (onData && status === 200) {
+            onData(chunk);
+         } else {
+            body += chunk;
+         }
+      });
+      // request can end a response twice, when it closes
+      req.on('end', function () {
+         if (ended) {
+            return;
+         }
+         ended = true;
+         if (onData && status === 200) {
+            callback(null, {status: status});
+         } else {
+            callback(null, {status: status, body: body});
+         }
+      });
+      req.on('error', function (err) {
+         callback(err, null);
+      });
+
+      signal.addEventListener('abort', function () {
+         req.abort();
+      });
    };
-   request  = require('request').get;
+   sax      = require('./sax');
    geohash  = require('./geohash');
+   geo      = require('./geo');
+   errors   = require('./errors');
+   jsonfeed = require('./jsonfeed');
+   emitter  = require('./emitter');
 } else {
+   sax = require('/vendor/nextbusjs/sax');
    geohash = require('/vendor/nextbusjs/geohash');
+   geo = require('/vendor/nextbusjs/geo');
+   errors = require('/vendor/nextbusjs/errors');
+   jsonfeed = require('/vendor/nextbusjs/jsonfeed');
+   emitter = require('/vendor/nextbusjs/emitter');
 
-   // wrapper functions around Titanium's library functions to make them
-   // function the same as the node libraries
-   xmlparse = function (data, callback) {
-      if (data === null) {
-         callback({name: "ParseError", message: "XML Parse Error"}, null);
-      } else {
-         callback(null, data);
-      }
-   };
-
-   request = function (url, callback) {
+   defaultTransport = function (url, signal, callback) {
       var xhr = Ti.Network.createHTTPClient();
       xhr.onload = function (e) {
-         var response = {
-            statusCode  : e.source.status
-         };
-         callback(null, response, e.source.responseXML);
+         callback(null, {status: e.source.status, body: e.source.responseText});
       };
 
+      // Titanium reports http errors through onerror too, only a missing
+      // status is a network error
       xhr.onerror = function (e) {
-         var response = {
-            statusCode  : e.source.status
-         };
-         var err = new Error("nextbusjs: network error");
-         err.name = 'NetworkError';
-         err.status = e.source.status;
-         callback(err, response, null);
+         if (e.source.status) {
+            callback(null, {status: e.source.status, body: e.source.responseText});
+         } else {
+            callback(new errors.NetworkError("nextbusjs: network error"), null);
+         }
       };
 
-      xhr.timeout = 6000;
+      signal.addEventListener('abort', function () {
+         xhr.abort();
+      });
       xhr.open("GET", url);
-      xhr.timeout = 6000;
       xhr.send();
    };
 }
 
+// Commands run against the JSON feed when the client's format is 'json'.  The
+// others always use xml.
+var JSON_COMMANDS = ['routeConfig', 'predictionsForMultiStops', 'vehicleLocations'];
+
+// Creates an object behaving like a DOM AbortSignal for transports to listen
+// to.  abort() is only meant to be called by the client.
+function createSignal () {
+   var listeners = [],
+       signal = {aborted: false, reason: undefined};
+
+   signal.addEventListener = function (type, listener) {
+      if (type === 'abort') {
+         listeners.push(listener);
+      }
+   };
+
+   signal.removeEventListener = function (type, listener) {
+      var i = listeners.indexOf(listener);
+      if (type === 'abort' && i !== -1) {
+         listeners.splice(i, 1);
+      }
+   };
+
+   signal.abort = function (reason) {
+      if (signal.aborted) {
+         return;
+      }
+      signal.aborted = true;
+      signal.reason = reason;
+      listeners.splice(0).forEach(function (listener) {
+         listener({type: 'abort', target: signal});
+      });
+   };
+
+   return signal;
+}
+
+// How near a route path has to pass to a stop for it to be used as the way
+// to and from the stop, in meters
+var SHAPE_STOP_METERS = 75;
+
+// Rough seconds a ride takes for each stop, and a transfer adds, for picking
+// which itineraries are worth timing
+var ROUGH_STOP_SECS = 90,
+    ROUGH_TRANSFER_SECS = 300;
+
+// Maps schedule service classes to the days of the week (0 is Sunday) they
+// run on.  Service classes are agency defined, these are the ones nextbus
+// agencies commonly use.
+var SERVICE_DAYS = {
+   wkd      : [1, 2, 3, 4, 5],
+   weekday  : [1, 2, 3, 4, 5],
+   moth     : [1, 2, 3, 4],
+   mon      : [1],
+   tue      : [2],
+   wed      : [3],
+   thu      : [4],
+   fri      : [5],
+   f        : [5],
+   sat      : [6],
+   saturday : [6],
+   sun      : [0],
+   sunday   : [0]
+};
+
 /*
    Class: nextbus
    Allows easy querying of the Nextbus public xml feed for predictions.  The
    <cacheAgency> function grabs the route and stop configuration from nextbus
-   and caches it.  This is a very large file, and as such, the process takes a
-   few seconds.  Every time a query is run, the query string is cached
-   internally.  
+   and caches it.  This is a large file, so it is read with a streaming
+   parser (see sax.js) rather than into a DOM: the cache is built as the
+   response arrives, if the transport hands it over in chunks.  Every time a
+   query is run, the query string is cached internally.
 
    The agency cache can be retrieved with the <getAgencyCache> function; it can
    then be stored or sent to a client.  It can be reloaded with the
    <setAgencyCache> function.
 
-   This is a commonjs module which exports a single function, 'client'.  This
-   function constructs a nextbus client for your use.
+   This is a commonjs module which exports a function, 'client', along with
+   the default 'transport' and the error classes (see errors.js) the client
+   gives its callbacks.  'client' constructs a nextbus client for your use.
+   It optionally takes an options object:
+
+      agency      - *string* agency tag every command is issued against.  Can
+                    also be set (or changed) by <cacheAgency>.
+      baseURL     - *string* url of the nextbus feed, defaults to
+                    http://webservices.nextbus.com/service/publicXMLFeed
+      format      - *string* 'xml' (the default) or 'json'.  With 'json',
+                    <cacheAgency>, the prediction functions and
+                    <vehicleLocations> use nextbus' JSON feed, which saves
+                    parsing xml on slow devices.  Results are the same
+                    either way.
+      jsonURL     - *string* url of the JSON feed, defaults to baseURL with
+                    publicXMLFeed replaced by publicJSONFeed
+      timeoutMs   - *Number* request timeout in milliseconds, including any
+                    retries.  Defaults to 6000 in Titanium and no timeout in
+                    node.  The prediction functions can override it per
+                    call.
+      transport   - *function (url, signal, callback, onData)* runs the http
+                    GET requests.  signal is an AbortSignal like object with
+                    'aborted' and addEventListener('abort', fn), and callback
+                    takes (err, {status, body}).  onData, when given, may be
+                    called with each chunk of a 200 response's body as it
+                    arrives, and the body then left out of the response.
+                    Defaults to the built in transport for node or Titanium,
+                    which is also exported as 'transport'.  The node one
+                    streams; the Titanium one gives whole responses.
+      retries     - *Number* how many times a query is retried when nextbus
+                    answers with a 5xx status or an error marked shouldRetry.
+                    Defaults to 0.
+      retryDelayMs - *Number* delay before the first retry, doubling with
+                    each one after it, defaults to 500.  Each delay is
+                    randomly shortened by up to half so clients don't retry
+                    in lockstep.
+      maxRetryDelayMs - *Number* upper limit on the delay between retries,
+                    defaults to 10000.
+      bounds      - *object* with 'lower' and 'upper' latitudes, used whenever
+                    lower_bound and upper_bound aren't passed to a function.
+      geofence    - *object* bounding box ({latMin, latMax, lonMin, lonMax})
+                    or GeoJSON polygon.  Routes, stops and vehicles are
+                    limited to it, see <cacheAgency>.  Takes precedence over
+                    bounds.
+      geofencePolicy - *string* what to do with routes that partly leave the
+                    geofence: 'clip' them to it, 'keep' them whole or 'drop'
+                    them.  Defaults to 'clip' for a geofence, and to 'drop'
+                    for latitude bounds, as they have always done.
+      activeExpireTime - *Number* see <setActiveExpireTime>
+      maxStopsPerRequest - *Number* most stops <predictMany> puts in one
+                    request, defaults to 150, the most nextbus allows
+      maxUrlLength - *Number* longest url <predictMany> makes, defaults to
+                    2000
+      predictionCacheMs - *Number* how long, in milliseconds, responses to
+                    <routePredict> and <stopPredict> queries are kept and
+                    reused.  Concurrent identical queries, with the same
+                    per-call timeout, share one request while it's running.  Defaults to 0, no caching.
+      predictionCacheSize - *Number* most responses kept, the oldest are
+                    dropped first.  Defaults to 500.
 
    Example:
       (start code)
       var nextbus = require('nextbusjs').client;
-          rutgers = nextbus();
+          rutgers = nextbus({agency: 'rutgers'});
 
       rutgers.cacheAgency('rutgers', function (err) {
          if (err) {
@@ -159,44 +307,106 @@ if (!isTi) {
                    predictions: null } ]
             }, 'minutes');
 
-            var nearest = rutgers.closestStops(40.40264, -74.3840120);
-            //{ 'Rutgers Student Center': 7,
-            //  'Student Activities Center': 6,
-            //  'Scott Hall': 5 }
+            var nearest = rutgers.closestStops(40.5026240, -74.4516850);
+            // [ { title: 'Rutgers Student Center', distance: 70.5, ... },
+            //   { title: 'Student Activities Center', distance: 270.8, ... },
+            //   { title: 'Scott Hall', distance: 447.4, ... } ]
          }
       });
       (end)
 */
 
-function client () {
+function client (options) {
    "use strict";
+   options = options || {};
     var   exports          = {},
           agencyData       = {},
-          agency           = null,
-          baseURL          = 
-           "http://webservices.nextbus.com/service/publicXMLFeed?command=",
+          shapes           = {},
+          shapesFor        = null,
+          agency           = options.agency || null,
+          baseURL          = options.baseURL ||
+           "http://webservices.nextbus.com/service/publicXMLFeed",
+          format           = options.format || 'xml',
+          jsonURL          = options.jsonURL ||
+           baseURL.replace(/publicXMLFeed$/, 'publicJSONFeed'),
+          timeoutMs        = options.timeoutMs || (isTi ? 6000 : 0),
+          transport        = options.transport || defaultTransport,
+          retries          = options.retries || 0,
+          retryDelayMs     = options.retryDelayMs || 500,
+          maxRetryDelayMs  = options.maxRetryDelayMs || 10000,
+          inFlight         = [],
+          maxStopsPerRequest  = options.maxStopsPerRequest || 150,
+          maxUrlLength     = options.maxUrlLength || 2000,
+          predictionCacheMs   = options.predictionCacheMs || 0,
+          predictionCacheSize = options.predictionCacheSize || 500,
+          predictionCache  = {},
+          pendingPredictions = {},
+          predictionStats  = {hits: 0, misses: 0, coalesced: 0},
+          destroyed        = false,
+          bounds           = options.bounds || {},
+          geofence         = null,
+          PromiseImpl      = options.Promise ||
+           (typeof Promise !== "undefined" ? Promise : null),
           isAgencyCached   = false,
-    vehicleLastTime  = null,
+          vehicleLastTimes = {},
+          pollers          = [],
     activeExpireTime;
 
+   if (format !== 'xml' && format !== 'json') {
+      throw new errors.InvalidArgumentError("format must be 'xml' or 'json'");
+   }
+
+   if (options.geofencePolicy &&
+       ['clip', 'keep', 'drop'].indexOf(options.geofencePolicy) === -1) {
+      throw new errors.InvalidArgumentError("geofencePolicy must be 'clip', 'keep' or 'drop'");
+   }
+
+   if (options.geofence) {
+      try {
+         geofence = geo.fence(options.geofence);
+      } catch (e) {
+         throw new errors.InvalidArgumentError(e.message, {cause: e});
+      }
+   }
+
    /*
       Group: Public Functions
 
+      Every asynchronous function takes a node style callback.  If the
+      callback is left out, a Promise is returned instead.  The Promise
+      implementation can be given to the client as the 'Promise' option, and
+      defaults to the global Promise.
+
       Function: routePredict
       Returns an array of predictions for a particular route in a particular
       direction.  Prediction objects contain a title and a predictions array.
+      If a direction is given, only the stops of that direction are returned,
+      in the order the direction travels.
 
       Parameters:
          route     - *string* route to return predictions for
-         direction - *string* direction to return predictions for, can be null
-         cb        - *function (err, data)* called with results
-         units     - *string* 'minutes', 'seconds', or 'both'.  Defaults to
-                     minutes.  If 'both', the return predictions will be an
-                     object with 'minutes' and 'seconds' properties.
+         direction - *string* direction tag, title or name to return predictions
+                     for, can be null
+         cb        - *function (err, data)* called with results, can be
+                     null or left out to get a Promise
+         units     - *string* 'minutes', 'seconds', 'both' or 'full'.
+                     Defaults to minutes.  If 'both', the return predictions
+                     will be an object with 'minutes' and 'seconds'
+                     properties.  If 'full', they will be objects with every
+                     attribute nextbus gives, see <prediction>.  Can
+                     also be an options object:
+         units.units    - *string* as above
+         units.messages - *boolean* if true, each stop gets a messages array
+                          of the alerts (see <getMessages>) that apply to it
+         units.timeoutMs - *Number* request timeout for this call, overriding
+                          the client's
 
       Returns:
          Object mapping stop names to arrays of strings.
 
+      Example:
+         > var data = await nextbus.routePredict('a', null, 'both');
+
       Example:
          > nextbus.routePredict('a', null, callback);
 
@@ -231,140 +441,117 @@ function client () {
    */
    
    function routePredict (route, direction, cb, units) {
-      var routeData, str = '', stops;
+      var routeData, str = '', stops, dirData, sorter;
+
+      if (typeof cb !== "function") {
+         // routePredict(route, direction, units) is allowed when promising
+         units = isUnits(cb) ? cb : units;
+         return promise(function (cb) {
+            routePredict(route, direction, cb, units);
+         });
+      }
 
       // default to minutes
-      units = units || 'minutes';
+      var opts = predictOptions(units);
+      units = opts.units;
       
-      if (direction === null) {
+      if (direction == null) {
          // direction is the string 'null' because its whats actually passed to
          // nextbus when we do predictionsForMultiStops
          direction = 'null';
       }
 
       if (!isAgencyCached) {
-         cb({name: "nocache", message: "no agency cache"} ,null);
+         cb(new errors.NoCacheError(), null);
          return;
       }
 
       routeData = agencyData.routes[route];
       if (routeData === undefined) {
-         cb({name: "noroute", message: "route not found"}, null);
+         cb(new errors.UnknownRouteError(null, {route: route}), null);
          return;
       }
+
+      // with a direction, only its stops are predicted, in the order the
+      // direction travels
+      stops = routeData.stops;
+      if (direction !== 'null') {
+         dirData = findDirection(routeData, direction);
+         if (!dirData) {
+            cb(new errors.UnknownDirectionError(null, {route: route, direction: direction}), null);
+            return;
+         }
+         direction = dirData.tag;
+         stops = dirData.stops;
+      }
+
       if (routeData.queries[direction] === undefined) {
          // There's no query string, we'll have to build one.
-         stops = routeData.stops;
-         stops.forEach(function (stop) {
-            str += "&stops=" + route + "|" + direction + "|" + stop;
+         stops.forEach(function (stop, i) {
+            // loop routes list their first stop again at the end
+            if (stops.indexOf(stop) === i) {
+               str += "&stops=" + route + "|" + direction + "|" + stop;
+            }
          });
          routeData.queries[direction] = str;
       }
 
-      if (routeData.sorter === undefined) {
+      routeData.sorters = routeData.sorters || {};
+      if (routeData.sorters[direction] === undefined) {
         // This is a reverse mapping of tags to numbers that can be used
         // to sort the data returned from nextbus, since this is now apparently
         // necessary. 
-        routeData.sorter = routeData.stops.reduce(function (memo, item, index) {
-          memo[item] = index; return memo;
+        routeData.sorters[direction] = stops.reduce(function (memo, item, index) {
+          if (memo[item] === undefined) memo[item] = index;
+          return memo;
         }, {});
       }
+      sorter = routeData.sorters[direction];
 
-      query("predictionsForMultiStops",
-         routeData.queries[direction],
-         function (err, response) {
-            var stop, ret = [], item, j, i, data, currIndex;
+      predictionQuery(routeData.queries[direction],
+         function (err, response, url) {
+            var ret = [];
 
             try {
                if (err) {
                   throw err;
                }
 
-               if (isTi) {
-                  data = response.getElementsByTagName("predictions");
-               } else {
-                  data = response.document.getElementsByTagName("predictions");
-               }
-
-               if (data.length === 0) {
-                  var e = new Error('response is invalid, data.length = 0');
-                  e.name = "ParseError";
-                  e.detail = "zero length data";
-                  e.data = isTi? Ti.XML.serializeToString(response) : response;
-                  throw e;
-               }
+               readPredictions(response).forEach(function (data) {
+                  var predictions = data.predictions.filter(function (attrs) {
+                     // if we were given a direction as input, ignore
+                     // predictions in other directions
+                     return direction === 'null' || direction === attrs.dirTag;
+                  }).map(function (attrs) {
+                     return prediction(attrs, units);
+                  });
 
-               for (i = 0; i < data.length; i++) {
-                  stop = data.item(i).getAttribute(fixStr('stopTitle'));
-                  var stopTag = data.item(i).getAttribute(fixStr('stopTag'));
-                  // push a new object onto the return
+                  // stops without predictions map to null
                   ret.push({
-                     title       : stop,
-                     predictions : [],
-                     tag: stopTag
-                  }); 
-
-                  currIndex = ret.length - 1;
-                  item = data.item(i).getElementsByTagName('prediction');
-                  // in Titanium, getElementsByTagName returns undefined if there
-                  // are no tags by that name.  In node (with jsdom), it returns
-                  // an empty nodelist.
-                  if (item === null) {
-                     ret[currIndex].predictions = null;
-                     continue;
-                  }
-
-                  for (j = 0; j < item.length; j++) {
-                     if (direction !== 'null') {
-                        // if we were given a direction as input, but the
-                        // prediction we're looking at isn't in that direction,
-                        // ignore it
-                        if (direction !== item.item(j).getAttribute(fixStr('dirTag'))) {
-                           continue;
-                        }
-                     }
-
-                     if (units !== 'both') {
-                        ret[currIndex].predictions.push(
-                           item.item(j).getAttribute(units)
-                        );
-                     } else {
-                        ret[currIndex].predictions.push({
-                           minutes: item.item(j).getAttribute('minutes'),
-                           seconds: item.item(j).getAttribute('seconds')
-                        });
-                     }
-                  }
+                     title       : data.attrs.stopTitle,
+                     predictions : predictions.length ? predictions : null,
+                     tag         : data.attrs.stopTag
+                  });
+               });
 
-                  // if there are no predictions, map the route identifier to null
-                  // this is for jsdom.  in titanium
-                  // getElementsByTagName('prediction') will return undefined if
-                  // there are no prediction tags.
-                  if (ret[currIndex].predictions.length === 0) {
-                     ret[currIndex].predictions = null;
-                  }
-               } 
                ret = ret.sort(function (a, b) {
-                  return routeData.sorter[a.tag] - routeData.sorter[b.tag];
+                  return sorter[a.tag] - sorter[b.tag];
                });
-               cb(null, ret);
+            } catch (e) {
+               cb(parseFailure(e, "predictionsForMultiStops", url), null);
+               return;
             }
 
-            catch (e) {
-               cb(e, null);
+            if (!opts.messages) {
+               cb(null, ret);
                return;
-            } 
-
-            finally {
-               if (!isTi) {
-                  // if we're not in titanium, we're in node, and we just used
-                  // jsdom for parsing.  If we don't call window.close(), jsdom
-                  // will leak an enormous amount of memory.
-                  typeof response.close == "function" && response.close();
-               }
             }
 
-         }
+            attachMessages(ret, [route], function (item) {
+               return {route: route, stop: item.tag};
+            }, cb, opts);
+         },
+         opts
       );
    }
 
@@ -377,12 +564,22 @@ function client () {
       is cached, the callback function will be called with an error.
 
       Parameters:
-         stop        - *string* route tag or route title
-         direction   - *string* direction tag, can be null
-         cb          - *function (err, data)* callback function
-         units       - *string* 'minutes', 'seconds', or 'both'.  Defaults to
-                       minutes.  If 'both', the return predictions will be an
-                       object with 'minutes' and 'seconds' properties.
+         stop        - *string* stop tag or stop title
+         direction   - *string* direction tag, title or name (such as
+                       'Inbound'), can be null.  If given, only the routes
+                       with a matching direction serving this stop are
+                       returned, with predictions for that direction.
+         cb          - *function (err, data)* callback function, can be null
+                       or left out to get a Promise
+         units       - *string* 'minutes', 'seconds', 'both' or 'full'.
+                       Defaults to minutes, see <routePredict>.  Can
+                       also be an options object, see <routePredict>.  With
+                       the messages option, each route gets the alerts that
+                       apply to it at this stop.  Also takes a routes option,
+                       an array of route tags to restrict the results to.
+
+      Each result also carries the route tag as 'tag' and the stop tag as
+      'stopTag'.
 
       Example:
          > nextbus.stopPredict('Hill Center', null, callback);
@@ -422,599 +619,4196 @@ function client () {
          (end)
    */
 
-   function stopPredict (stop, direction, cb, units) { 
-      var tags = [], str = '', queryprops = {}, stopData, inputType = '';
+   function stopPredict (stop, direction, cb, units) {
+      var str = '', allowed = {}, pairs;
+
+      if (typeof cb !== "function") {
+         units = isUnits(cb) ? cb : units;
+         return promise(function (cb) {
+            stopPredict(stop, direction, cb, units);
+         });
+      }
 
-      units = units || 'minutes';
+      var opts = predictOptions(units);
+      units = opts.units;
 
-      if (direction === null) {
+      if (direction == null) {
          direction = 'null';
       }
 
       if (!isAgencyCached) {
-         cb({name: "nocache", message: "no agency cache"}, null);
+         cb(new errors.NoCacheError(), null);
          return;
       }
 
-      if (agencyData.stops[stop] !== undefined) {
-         stopData = agencyData.stops[stop];
-         inputType = 'tag';
-         // We mark the input type so that we can return using the same
-         // format.
-      } else if (agencyData.stopsByTitle && 
-                 agencyData.stopsByTitle[stop] !== undefined) {
-         stopData = agencyData.stopsByTitle[stop];
-         inputType = 'title';
-      } else {
-         cb(new Error('stop not found'), null);
+      pairs = stopPairs(stop, direction, opts.routes);
+      if (!pairs) {
+         cb(new errors.UnknownStopError(null, {stop: stop}), null);
          return;
       }
 
-      if (stopData.queries[direction] === undefined) {
-         // Well, there's no query string, so we'll have to make one.
-         if (inputType === 'title') {
-            tags = stopData.tags;
-         } else {
-            tags = [stop];
-         }
-         tags.forEach(function (tag) {
-            var routes = agencyData.stops[tag].routes;
-            routes.forEach(function (route) {
-               // now tag contains a stoptag and route contains a routetag
-               // combine them and add to query string
-               str += "&stops=" + route + "|" + direction + "|" + tag;
-            });
-         });
-         stopData.queries[direction] = str;
+      pairs.forEach(function (pair) {
+         allowed[pair.route + '|' + pair.stop] = pair.dirs;
+         str += "&stops=" + pair.route + "|null|" + pair.stop;
+      });
+
+      if (str === '') {
+         // nothing at this stop matches the filters
+         cb(null, []);
+         return;
       }
 
-      query("predictionsForMultiStops",
-         stopData.queries[direction], function (err, response) {
-         var i, j, item, prediction, ret = [], route, data, currIndex, 
-             currDirection, currDirectionNodes;
+      predictionQuery(str, function (err, response, url) {
+         var ret = [];
 
          try {
             if (err) {
                throw err;
             }
 
-            if (isTi) {
-               data = response.getElementsByTagName("predictions");
-            } else {
-               data = response.document.getElementsByTagName("predictions");
-            }
-
-            if (data.length === 0) {
-               var e = new Error('response is invalid');
-               e.name = "ParseError";
-               e.detail = "zero length data";
-               throw e;
-            }
-
-            for (i = 0; i < data.length; i++) {
-               // getAttribute input type may get the title, if the user gave
-               // us a title to lookup
-               route = data.item(i).getAttribute(fixStr('routeTitle'));
-               currDirectionNodes = data.item(i).getElementsByTagName('direction');
-               currDirection = null;
-               // currDirectionNodes will be null in Titanium if there are no
-               // direction nodes, in jsdom it will have length 0
-               if (currDirectionNodes === null) {
-                  // correct titanium error in dom implementation
-                  currDirectionNodes = {length: 0};
-               }
-               if (currDirectionNodes.length !== 0) {
-                  currDirection = currDirectionNodes.item(0)
-                     .getAttribute('title');
-               } else {
-                  currDirection = data.item(i)
-                                  .getAttribute(fixStr('dirTitleBecauseNoPrediction'));
-               }
-               ret.push({
-                  direction      : currDirection,
-                  title          : route,
-                  predictions    : []
-               });
-               currIndex = ret.length - 1;
-               item = data.item(i).getElementsByTagName('prediction');
-               // see the notes in routePredict about item === null
-               if (item === null) {
-                  ret[currIndex].predictions = null;
-                  continue;
-               }
-               for (j = 0; j < item.length; j++) {
-                  /*
-                  if (direction !== 'null') {
-                     if (direction !== item.item(j).getAttribute('dirtag')) {
-                        continue;
-                     }
-                  }*/
-
-                  if (units !== 'both') {
-                     ret[currIndex].predictions.push(
-                        item.item(j).getAttribute(units)
-                     );
-                  } else {
-                     ret[currIndex].predictions.push({
-                        minutes: item.item(j).getAttribute('minutes'),
-                        seconds: item.item(j).getAttribute('seconds')
-                     });
-                  }
-               }
-               // if there are no predictions, map the route identifier to null
-               if (ret[currIndex].predictions.length === 0) {
-                  ret[currIndex].predictions = null;
-               }
-            }
+            readPredictions(response).forEach(function (data) {
+               ret.push(stopResult(data,
+                  allowed[data.attrs.routeTag + '|' + data.attrs.stopTag], units));
+            });
+         } catch (e) {
+            cb(parseFailure(e, "predictionsForMultiStops", url), null);
+            return;
+         }
 
-            // we're done now, call the callback
+         // we're done now, call the callback
+         if (!opts.messages) {
             cb(null, ret);
-
-         } catch (e) {
-            cb(e, null);
-         } finally {
-            if (!isTi) {
-               // if we're not in titanium, we're in node, and we just used
-               // jsdom for parsing.  If we don't call window.close(), jsdom
-               // will leak an enormous amount of memory.
-               typeof response.close == "function" && response.close();
-            }
+            return;
          }
-      });
+
+         attachMessages(ret, ret.map(function (item) { return item.tag; }),
+            function (item) {
+               return {route: item.tag, stop: item.stopTag};
+            }, cb, opts);
+      }, opts);
    }
 
    /*
-      Function: closestStops
-      Finds closest stops to a particular lat and lon.  Will use only active
-      stops if that information has been retrieved
+      Function: predictMany
+      Gets predictions for any number of stops at once, with as few requests
+      as possible.  The stops are combined into predictionsForMultiStops
+      requests, split to stay within the maxStopsPerRequest and maxUrlLength
+      options of the client.  The requests run at the same time.
 
       Parameters:
-         lat      - *Number* latitude
-         lon      - *Number* longitutde
-         num      - *Number* number of stops to return
-         accuracy - *Number* # of accuracy characters in the geohash, defaults to 8
+         items       - *array* of stops to predict, objects with:
+         items[i].stop      - *string* stop tag or title
+         items[i].route     - *string* route tag, optional.  Only this
+                              route's predictions are given.
+         items[i].direction - *string* direction tag, title or name,
+                              optional, see <stopPredict>
+         cb          - *function (err, data)* called with results, can be
+                       null or left out to get a Promise
+         units       - *string* or options object, see <stopPredict>.  The
+                       routes option applies to items without a route.
+
+      Callback return:
+         data        - *array* parallel to items, each an array of results
+                       like those of <stopPredict>
+
+      Example:
+         (start code)
+         nextbus.predictMany([
+            {stop: 'Hill Center', direction: 'To Busch Student Center'},
+            {stop: 'scott', route: 'a'}
+         ], function (err, data) {
+            // data[0] has routes a and b at hillw, data[1] has route a at
+            // scott
+         });
+         (end)
    */
-   function closestStops (lat, lon, num, accuracy) {
-      num = num || 3; // default to 3
-      var loc = geohash.encode(lat, lon), nearest, stops, oldData, d;
 
-      if (isActiveDataFresh()) {
-         stops = agencyData.active.stops;
-      } else {
-         stops = agencyData.sortedStops;
+   function predictMany (items, cb, units) {
+      var opts, pairs = [], keys = [], allowed = {}, chunks, parsed = {},
+          left, failed = false, i, item;
+
+      if (typeof cb !== "function") {
+         units = isUnits(cb) ? cb : units;
+         return promise(function (cb) {
+            predictMany(items, cb, units);
+         });
+      }
+
+      opts = predictOptions(units);
+      units = opts.units;
+
+      if (!isAgencyCached) {
+         cb(new errors.NoCacheError(), null);
+         return;
+      }
+
+      for (i = 0; i < items.length; i++) {
+         item = items[i];
+         if (item.route && !agencyData.routes[item.route]) {
+            cb(new errors.UnknownRouteError(null, {route: item.route}), null);
+            return;
+         }
+         pairs[i] = stopPairs(item.stop, item.direction || 'null',
+                              item.route ? [item.route] : opts.routes);
+         if (!pairs[i]) {
+            cb(new errors.UnknownStopError(null, {stop: item.stop}), null);
+            return;
+         }
+         pairs[i].forEach(function (pair) {
+            var key = pair.route + '|' + pair.stop;
+            if (keys.indexOf(key) === -1) {
+               keys.push(key);
+            }
+         });
+      }
+
+      function finish () {
+         var ret, all = [];
+
+         try {
+            ret = pairs.map(function (list) {
+               return list.filter(function (pair) {
+                  return parsed[pair.route + '|' + pair.stop] !== undefined;
+               }).map(function (pair) {
+                  var result = stopResult(parsed[pair.route + '|' + pair.stop],
+                                          pair.dirs, units);
+                  all.push(result);
+                  return result;
+               });
+            });
+         } catch (e) {
+            cb(parseFailure(e, "predictionsForMultiStops"), null);
+            return;
+         }
+
+         if (!opts.messages) {
+            cb(null, ret);
+            return;
+         }
+
+         attachMessages(all, all.map(function (result) { return result.tag; }),
+            function (result) {
+               return {route: result.tag, stop: result.stopTag};
+            }, function (err) {
+               cb(err, err ? null : ret);
+            }, opts);
       }
-      nearest = geohash.nearest(loc, stops, num, accuracy);
-      return nearest;
+
+      chunks = chunkStops(keys);
+      left = chunks.length;
+      if (left === 0) {
+         finish();
+         return;
+      }
+
+      chunks.forEach(function (str) {
+         predictionQuery(str, function (err, response, url) {
+            if (failed) {
+               return;
+            }
+
+            try {
+               if (err) {
+                  throw err;
+               }
+               readPredictions(response).forEach(function (data) {
+                  parsed[data.attrs.routeTag + '|' + data.attrs.stopTag] = data;
+               });
+            } catch (e) {
+               failed = true;
+               cb(parseFailure(e, "predictionsForMultiStops", url), null);
+               return;
+            }
+
+            if (--left === 0) {
+               finish();
+            }
+         }, opts);
+      });
    }
 
    /*
-      Function: cacheAgency
-      Load the agency data.  Somewhat slow as this is often a huge file.  
-      Also geohashes each lat and lon for easy closest stop calculation.  
-      Also builds an object indexed by stop titles so stops with identical
-      titles but different tags can be treated as a single stop.
+      Function: departureBoard
+      Gets one list of upcoming departures across several stops, soonest
+      first, for departure screens.  The stops are predicted together with
+      <predictMany>.
 
       Parameters:
-         agency      - *string* name of the agency to cache]
-         callback    - *function (err)* called when the process is complete
+         stops       - *array* of stop tags or titles, or of items like those
+                       of <predictMany>
+         options     - *object* optional
+         options.horizon     - *Number* leave out departures more than this
+                               many minutes away
+         options.maxPerRoute - *Number* most departures to give for each
+                               route
+         options.dedupe      - *boolean* whether a vehicle predicted at
+                               several of the stop tags a title stands for
+                               is listed only at the first of them.
+                               Defaults to true.
+         options.routes      - *array* of route tags to restrict the board to
+         options.timeoutMs   - *Number* request timeout for this call
+         callback    - *function (err, data)* called with results, can be
+                       left out to get a Promise
+
+      Callback return:
+         data        - *array* of departures, soonest first
+         data[i].route      - *string* route tag
+         data[i].routeTitle - *string* route title
+         data[i].direction  - *string* direction title
+         data[i].dirTag     - *string* direction tag, or null
+         data[i].stop       - *string* stop tag
+         data[i].stopTitle  - *string* stop title
+         data[i].minutes    - *Number* minutes until departure
+         data[i].time       - *Date* departure time
+         data[i].vehicle    - *string* vehicle id, or null
+
+      Example:
+         > var board = await nextbus.departureBoard(['Hill Center', 'scott'],
+         >                                          {horizon: 30, maxPerRoute: 2});
    */
-   function cacheAgency (name, lower_bound, upper_bound, callback) {
-      var out = {};
-      if (typeof name !== "string") {
-         callback({name: "TypeError", message: "agency must be a string"}, null);
-         return;
+
+   function departureBoard (stops, options, callback) {
+      var items;
+
+      if (typeof options === "function") {
+         callback = options;
+         options = null;
       }
       if (typeof callback !== "function") {
-         return {name: "TypeError", message: "callback must be a function"};
+         return promise(function (callback) {
+            departureBoard(stops, options, callback);
+         });
       }
-      out.routes = {};
-      out.stops = {};
-      agency = name;
+      options = options || {};
 
-      // actually run the query
-      query("routeConfig", '', function (err, data) {
-         var i, j,
-             route, routes, 
-             stop, stops,
-             dirs;
+      items = stops.map(function (stop) {
+         return typeof stop === "string" ? {stop: stop} : stop;
+      });
 
+      predictMany(items, function (err, data) {
+         var ret = [], seen = {}, perRoute = {};
 
-         try {
-            if (err) {
-               throw err;
-            }
-     
-            if (isTi) {
-               routes = data.getElementsByTagName("route");
-            } else {
-               routes = data.document.getElementsByTagName("route");
-            }
+         if (err) {
+            callback(err, null);
+            return;
+         }
 
-            for (i = 0; i < routes.length; i++) {
-               route = routes.item(i).getAttribute('tag');
-  
-    //setup the route object
-               out.routes[route] = {
-                  queries     : {},
-                  stops       : [],
-                  directions  : [],
-                  title       : routes.item(i).getAttribute('title')
-               };
-               stops = routes.item(i).getElementsByTagName('stop');
-
-               for (j = 0; j < stops.length; j++) {
-                  // if the title is null, this is the stop as listed in the direction
-                  // section.  we need the title (and other stuff too) so this node is
-                  // useless
-                  if (stops.item(j).getAttribute('title') === '') {
-                     continue;
-                  }
-                  stop = stops.item(j).getAttribute('tag');
+         data.forEach(function (results, i) {
+            results.forEach(function (result) {
+               (result.predictions || []).forEach(function (p) {
+                  ret.push({
+                     item       : i,
+                     route      : result.tag,
+                     routeTitle : result.title,
+                     direction  : result.direction,
+                     dirTag     : p.dirTag,
+                     stop       : result.stopTag,
+                     stopTitle  : agencyData.stops[result.stopTag].title,
+                     minutes    : p.minutes,
+                     time       : p.arrival,
+                     vehicle    : p.vehicle,
+                     tripTag    : p.tripTag
+                  });
+               });
+            });
+         });
 
-                  // If we already saw this stop, continue
-                  if (out.routes[route].stops.indexOf(stop) !== -1) continue;
-      
-      // If the route has a stop that falls outside of the bounds, don't include the route
-      if (stops.item(j).getAttribute('lat') < lower_bound || stops.item(j).getAttribute('lat') > upper_bound){
-         delete out.routes[route];
-         break;
-      }
-
-                  // initialize to defaults values.  if this stop in out.stops
-                  // is already set this does nothing, otherwise it sets intial values.
-                  out.stops[stop] = out.stops[stop] || {
-                     routes   : [],
-                     queries  : {},
-                     title    : stops.item(j).getAttribute('title'),
-                     lat      : stops.item(j).getAttribute('lat'),
-                     lon      : stops.item(j).getAttribute('lon')
-                  };
+         ret.sort(function (a, b) {
+            return a.time - b.time || (a.route < b.route ? -1 : a.route > b.route ? 1 : 0);
+         });
 
-                  out.routes[route].stops.push(stop);
-                  out.stops[stop].routes.push(route);
-                  out.stops[stop].stopId =
-                     stops.item(j).getAttribute('stopid') || undefined;
-               }
-         if(out.routes[route]){
-                  dirs = routes.item(i).getElementsByTagName('direction');
-                  for (j = 0; j < dirs.length; j++) {
-                     out.routes[route].directions.push({
-                        title    : dirs.item(j).getAttribute('title'),
-                        tag      : dirs.item(j).getAttribute('tag')
-                     });
-                  }
-         }
-            }
+         ret = ret.filter(function (entry) {
+            var key = entry.item + '|' + entry.route + '|' + entry.vehicle + '|' +
+                      (entry.tripTag || entry.dirTag);
 
-            agencyData = out;
-            isAgencyCached = true;
+            if (options.horizon !== undefined && entry.minutes > options.horizon) {
+               return false;
+            }
 
-            // combine like stop names
-            combineStops();
+            // the same trip of a vehicle predicted at another tag of the
+            // same stop title is kept at the first stop it reaches
+            if (options.dedupe !== false && entry.vehicle) {
+               if (seen[key] !== undefined && seen[key] !== entry.stop) {
+                  return false;
+               }
+               seen[key] = seen[key] || entry.stop;
+            }
 
-            // created sorted lists of stops
-            sort();
-            callback(null, out);
+            perRoute[entry.route] = (perRoute[entry.route] || 0) + 1;
+            return !options.maxPerRoute || perRoute[entry.route] <= options.maxPerRoute;
+         });
 
-         } catch (e) {
-            callback(e, null);
-         } 
-      });
+         callback(null, ret.map(function (entry) {
+            return {
+               route      : entry.route,
+               routeTitle : entry.routeTitle,
+               direction  : entry.direction,
+               dirTag     : entry.dirTag,
+               stop       : entry.stop,
+               stopTitle  : entry.stopTitle,
+               minutes    : entry.minutes,
+               time       : entry.time,
+               vehicle    : entry.vehicle
+            };
+         }));
+      }, {units: 'full', routes: options.routes, timeoutMs: options.timeoutMs});
    }
 
    /*
-      Function: setAgencyCache
-      Set the agency cache to a given object.  This is useful if you'd like to
-      generate the agency cache only once or load the agency cache from another
-      location.
+      Function: nearbyDepartures
+      Lists the departures a rider at a place can walk to in time.  The
+      stops within the radius are predicted together with <predictMany>,
+      and departures leaving a stop before the rider could walk there are
+      left out.  A vehicle predicted at several of the stops is only listed
+      at the stop it would be boarded at first.
 
       Parameters:
-         data            - *object* agency cache object
-         agencyname      - *string* name of the agency
-   */
-   function setAgencyCache (data, agencyname) {
-      agencyData = data;
-      agency = agencyname;
-      isAgencyCached = true;
-   }
+         lat, lon    - *Number* where the rider is
+         options     - *object* optional
+         options.radius    - *Number* furthest stop to walk to, in meters,
+                             defaults to 400
+         options.walkSpeed - *Number* walking speed in meters per second,
+                             defaults to 1.3
+         options.limit     - *Number* most departures to give, defaults to 10
+         options.routes    - *array* of route tags to restrict them to
+         options.timeoutMs - *Number* request timeout for this call
+         callback    - *function (err, data)* called with results, can be
+                       left out to get a Promise
 
-   /*
-      Function: getAgencyCache
-      Get the cached agency data.  This is useful if you'd like to save this cache
-      or send it to a client.
+      Callback return:
+         data        - *array* of departures, by when they'd be boarded
+         data[i].route       - *string* route tag
+         data[i].routeTitle  - *string* route title
+         data[i].direction   - *string* direction title
+         data[i].dirTag      - *string* direction tag, or null
+         data[i].stop        - *string* stop tag
+         data[i].stopTitle   - *string* stop title
+         data[i].distance    - *Number* meters to walk to the stop
+         data[i].walkMinutes - *Number* minutes the walk takes
+         data[i].minutes     - *Number* minutes until departure
+         data[i].time        - *Date* departure time
+         data[i].leaveIn     - *Number* minutes to spare before setting off
+         data[i].vehicle     - *string* vehicle id, or null
 
-      Returns:
-         *object* agency cache
+      Example:
+         > var near = await nextbus.nearbyDepartures(40.5026, -74.4517,
+         >                                           {radius: 300, limit: 5});
    */
-   function getAgencyCache () {
-      return agencyData;
-   }
 
-   function rand (to) {
-      return Math.floor(Math.random() * (to + 1));
+   function nearbyDepartures (lat, lon, options, callback) {
+      var radius, walkSpeed, limit, bad, stops, walks = {};
+
+      if (typeof options === "function") {
+         callback = options;
+         options = null;
+      }
+      if (typeof callback !== "function") {
+         return promise(function (callback) {
+            nearbyDepartures(lat, lon, options, callback);
+         });
+      }
+      options = options || {};
+      radius = options.radius === undefined ? 400 : options.radius;
+      walkSpeed = options.walkSpeed === undefined ? 1.3 : options.walkSpeed;
+      limit = options.limit === undefined ? 10 : options.limit;
+      bad = notPositive({radius: radius, walkSpeed: walkSpeed, limit: limit});
+
+      if (isNaN(parseFloat(lat)) || isNaN(parseFloat(lon))) {
+         callback(new errors.InvalidArgumentError("lat and lon must be numbers"), null);
+         return;
+      }
+      if (bad) {
+         callback(new errors.InvalidArgumentError(bad + " must be a positive number"), null);
+         return;
+      }
+      if (!isAgencyCached) {
+         callback(new errors.NoCacheError(), null);
+         return;
+      }
+
+      stops = tripEnds({lat: lat, lon: lon}, radius);
+      if (stops.length === 0) {
+         callback(null, []);
+         return;
+      }
+      stops.forEach(function (stop) {
+         walks[stop.tag] = stop.walk;
+      });
+
+      predictMany(stops.map(function (stop) {
+         return {stop: stop.tag};
+      }), function (err, data) {
+         var ret = [], seen = {}, now = Date.now();
+
+         if (err) {
+            callback(err, null);
+            return;
+         }
+
+         data.forEach(function (results) {
+            results.forEach(function (result) {
+               var walkMs = walks[result.stopTag] / walkSpeed * 1000;
+
+               (result.predictions || []).forEach(function (p) {
+                  // gone before the rider could get there
+                  if (p.epochTime < now + walkMs) {
+                     return;
+                  }
+                  ret.push({
+                     route       : result.tag,
+                     routeTitle  : result.title,
+                     direction   : result.direction,
+                     dirTag      : p.dirTag,
+                     stop        : result.stopTag,
+                     stopTitle   : agencyData.stops[result.stopTag].title,
+                     distance    : walks[result.stopTag],
+                     walkMinutes : walkMs / 60000,
+                     minutes     : p.minutes,
+                     time        : p.arrival,
+                     leaveIn     : (p.epochTime - now - walkMs) / 60000,
+                     vehicle     : p.vehicle,
+                     tripTag     : p.tripTag
+                  });
+               });
+            });
+         });
+
+         ret.sort(function (a, b) {
+            return a.time - b.time || a.distance - b.distance;
+         });
+
+         callback(null, ret.filter(function (entry) {
+            var key = entry.route + '|' + entry.vehicle + '|' + (entry.tripTag || entry.dirTag);
+
+            // the same trip reaching several of the stops is boarded at the
+            // first one
+            if (entry.vehicle) {
+               if (seen[key]) {
+                  return false;
+               }
+               seen[key] = true;
+            }
+            return true;
+         }).slice(0, limit).map(function (entry) {
+            delete entry.tripTag;
+            return entry;
+         }));
+      }, {units: 'full', routes: options.routes, timeoutMs: options.timeoutMs});
    }
 
-   /* Function: guessActive
-    * Guesses which routes are currently active by running a vehicleLocations
-    * query to discover which routes are active.  Then, assumes that
-    * every stop on each active route is active, yielding a list of active
-    * routes and active stops for this agency.
-    *
-    * Parameters:
-    *    callback    - *function (err, data)* called with results; data.routes
-    *                  and data.stops will have alphabetically sorted arrays of
-    *                  active routes and stops respectively
-    */
+   /*
+      Function: vehiclesApproaching
+      Finds the vehicles on their way to a stop, and how many stops away
+      they are.  Each vehicle is placed on its direction (see
+      <snapToRoute>), and counts as approaching if the stop is ahead of it.
+      On a loop, where a direction ends where it starts, a vehicle which
+      passed the stop is approaching it on its next time around.
 
-   function guessActive (lower_bound, upper_bound, callback) {
-        if (!isAgencyCached) {
-          callback({name: "nocache", message: "no agency cache"}, null);
-          return;
-        }
-  
-      // we temporarily use hashes for activeRoutes/Stops, because then we
-      // don't have to deal with duplicates.  Once we've gone through
-      // everything one time and we have activeRoutes and activeStops
-      // completed, we'll loop over these hashes to build the final output
-      // hash.
+      Runs a vehicleLocations query, without the 't' parameter so every
+      vehicle is found, along with a predictions query for the stop.
 
-      var activeRoutes  = {}, 
-          activeStops   = {}, 
-          active        = {},
-          route, 
-          i, 
-          stops, 
-          len, 
-          str           = '';
+      Parameters:
+         stop        - *string* stop tag or title
+         options     - *object* optional
+         options.route     - *string* route tag to restrict the vehicles to
+         options.maxStops  - *Number* leave out vehicles more than this many
+                             stops away
+         options.timeoutMs - *Number* request timeout for this call
+         callback    - *function (err, data)* called with results, can be
+                       left out to get a Promise
 
-      // first, we guess which routes are active.
-      
-      // we do this by simply running a vehiclelocations query.  we assume
-      // any routes that have buses running are active
-      vehicleLocations(lower_bound, upper_bound, null, function (err, response) {
+      Callback return:
+         data        - *array* of approaching vehicles, nearest first
+         data[i].vehicle   - *object* vehicle, as from <vehicleLocations>
+                             with its 'route'
+         data[i].route     - *string* route tag
+         data[i].direction - *string* direction tag
+         data[i].stop      - *string* stop tag approached
+         data[i].stopsAway - *Number* stops between the vehicle and the stop,
+                             0 when the stop is the next one
+         data[i].distance  - *Number* meters along the path to the stop
+         data[i].prediction - *object* the vehicle's prediction for the stop
+                              in 'full' units (see <prediction>), or null if
+                              nextbus doesn't predict it
+
+      Example:
+         > var buses = await nextbus.vehiclesApproaching('Hill Center',
+         >                                               {route: 'a', maxStops: 5});
+   */
+
+   function vehiclesApproaching (stop, options, callback) {
+      var pairs, routes = [], stopStr = '', maxStops, fence,
+          results = {}, pending = 2, failed = false;
+
+      if (typeof options === "function") {
+         callback = options;
+         options = null;
+      }
+      if (typeof callback !== "function") {
+         return promise(function (callback) {
+            vehiclesApproaching(stop, options, callback);
+         });
+      }
+      options = options || {};
+      maxStops = options.maxStops === undefined ? Infinity : options.maxStops;
+
+      if (typeof maxStops !== "number" || !(maxStops >= 0)) {
+         callback(new errors.InvalidArgumentError("maxStops must be a number, at least 0"), null);
+         return;
+      }
+      if (!isAgencyCached) {
+         callback(new errors.NoCacheError(), null);
+         return;
+      }
+      if (options.route && !agencyData.routes[options.route]) {
+         callback(new errors.UnknownRouteError(null, {route: options.route}), null);
+         return;
+      }
+
+      pairs = stopPairs(stop, 'null', options.route ? [options.route] : null);
+      if (!pairs) {
+         callback(new errors.UnknownStopError(null, {stop: stop}), null);
+         return;
+      }
+      if (pairs.length === 0) {
+         callback(null, []);
+         return;
+      }
+
+      pairs.forEach(function (pair) {
+         if (routes.indexOf(pair.route) === -1) {
+            routes.push(pair.route);
+         }
+         stopStr += "&stops=" + pair.route + "|null|" + pair.stop;
+      });
+      fence = fenceFor(null, null);
+
+      function done (name, err, data) {
+         if (failed) {
+            return;
+         }
          if (err) {
+            failed = true;
             callback(err, null);
             return;
          }
-         var i, item, route, data, stop;
-         // our response will be an object mapping routes to vehicles.  we dont
-         // care about the values, but the keys tell us exactly which routes are
-         // active.
-         activeRoutes = response;
-         // second, we use our route guesses to mark the stops as active
-         active.time = new Date().getTime();
-         active.routes = [];
-         active.stops = [];
-         if (!activeRoutes) {
-            callback(null, active);
+
+         results[name] = data;
+         pending -= 1;
+         if (pending === 0) {
+            callback(null, approaching(pairs, results.vehicles.filter(function (vehicle) {
+               return routes.indexOf(vehicle.route) !== -1 &&
+                      (!fence || fence.inside(vehicle.lat, vehicle.lon));
+            }), results.predictions, maxStops));
+         }
+      }
+
+      query('vehicleLocations', routes.length === 1 ? '&r=' + routes[0] : '',
+         function (err, response, url) {
+            var data;
+
+            try {
+               if (err) {
+                  throw err;
+               }
+               data = readVehicles(response).vehicles;
+            } catch (e) {
+               done('vehicles', parseFailure(e, "vehicleLocations", url));
+               return;
+            }
+            done('vehicles', null, data);
+         }, options);
+
+      predictionQuery(stopStr, function (err, response, url) {
+         var data;
+
+         try {
+            if (err) {
+               throw err;
+            }
+            data = readPredictions(response);
+         } catch (e) {
+            done('predictions', parseFailure(e, "predictionsForMultiStops", url));
             return;
          }
-         // loop over the active routes
-         for (route in activeRoutes) {
-            if (activeRoutes.hasOwnProperty(route)) {
-               // add to the final output
-               active.routes.push({tag: route, title: agencyData.routes[route].title});
-               for (i = 0; i < agencyData.routes[route].stops.length; i++) {
-                  // add each stop of current route to active stops list
-                  stop = agencyData.routes[route].stops[i];
-                  activeStops[agencyData.stops[stop].title] = true;
+         done('predictions', null, data);
+      }, options);
+   }
+
+   /*
+      Function: planTrip
+      Plans trips between two stops or places over the cached routes, with
+      up to one transfer.  A transfer can be at one stop or a walk between
+      nearby stops.  Itineraries are timed with live predictions where the
+      vehicle making the trip is predicted at both ends of a ride, and with
+      the route's schedule otherwise (which is fetched if it hasn't been).
+      Quickest arrival comes first; itineraries that couldn't be timed come
+      last.
+
+      Parameters:
+         from        - *string* stop tag or title, or *object* {lat, lon} to
+                       start walking from
+         to          - *string* stop tag or title, or *object* {lat, lon}
+         opts        - *object* optional
+         opts.walkMeters     - *Number* furthest to walk to or from a place,
+                               defaults to 400
+         opts.transferMeters - *Number* furthest to walk between stops when
+                               transferring, defaults to 200
+         opts.maxTransfers   - *Number* 0 or 1, defaults to 1
+         opts.walkSpeed      - *Number* walking speed in meters per second,
+                               defaults to 1.3
+         opts.limit          - *Number* most itineraries to give, defaults
+                               to 5
+         opts.at             - *Date* when to leave, defaults to now.  Live
+                               predictions are only used when this is now.
+         opts.timeoutMs      - *Number* request timeout for this call
+         callback    - *function (err, data)* called with results, can be
+                       left out to get a Promise
+
+      Callback return:
+         data        - *array* of itineraries, best first
+         data[i].departure - *Date* when to set off, or null if untimed
+         data[i].arrival   - *Date* arrival at the destination, or null
+         data[i].transfers - *Number* transfers made
+         data[i].walking   - *Number* meters walked
+         data[i].legs      - *array* of legs, in order, each with a 'mode' of
+                             'walk' or 'ride', and 'from' and 'to' as
+                             {tag, title} stops or {lat, lon} places
+
+         Walk legs also have 'meters' and 'minutes'.  Ride legs have
+
+         route, routeTitle  - *string* route
+         direction, directionTitle - *string* direction
+         stops       - *Number* stops ridden
+         depart      - *Date* departure from 'from', or null
+         arrive      - *Date* arrival at 'to', or null
+         source      - *string* 'prediction' or 'schedule', or null
+         vehicle     - *string* predicted vehicle, or null
+         block       - *string* block of the trip, or null
+
+      Example:
+         > var trips = await nextbus.planTrip('Livingston Student Center',
+         >                                    'Cook Campus Center');
+   */
+
+   function planTrip (from, to, opts, callback) {
+      var after, origins, dests, itineraries, bad, keys = [], items = [];
+
+      if (typeof opts === "function") {
+         callback = opts;
+         opts = null;
+      }
+      if (typeof callback !== "function") {
+         return promise(function (callback) {
+            planTrip(from, to, opts, callback);
+         });
+      }
+      opts = opts || {};
+      opts = {
+         walkMeters     : opts.walkMeters === undefined ? 400 : opts.walkMeters,
+         transferMeters : opts.transferMeters === undefined ? 200 : opts.transferMeters,
+         maxTransfers   : opts.maxTransfers === undefined ? 1 : opts.maxTransfers,
+         walkSpeed      : opts.walkSpeed === undefined ? 1.3 : opts.walkSpeed,
+         limit          : opts.limit === undefined ? 5 : opts.limit,
+         at             : opts.at,
+         timeoutMs      : opts.timeoutMs
+      };
+
+      if (opts.maxTransfers !== 0 && opts.maxTransfers !== 1) {
+         callback(new errors.InvalidArgumentError("maxTransfers must be 0 or 1"), null);
+         return;
+      }
+      bad = notPositive({walkSpeed: opts.walkSpeed, limit: opts.limit});
+      if (bad) {
+         callback(new errors.InvalidArgumentError(bad + " must be a positive number"), null);
+         return;
+      }
+      bad = notPositive({walkMeters: opts.walkMeters, transferMeters: opts.transferMeters}, true);
+      if (bad) {
+         callback(new errors.InvalidArgumentError(bad + " must be a number, at least 0"), null);
+         return;
+      }
+      // a place that isn't one would just have no stops in reach
+      if ([from, to].some(function (spec) {
+         return spec !== null && typeof spec === "object" &&
+                (isNaN(parseFloat(spec.lat)) || isNaN(parseFloat(spec.lon)));
+      })) {
+         callback(new errors.InvalidArgumentError("lat and lon must be numbers"), null);
+         return;
+      }
+      if (!isAgencyCached) {
+         callback(new errors.NoCacheError(), null);
+         return;
+      }
+
+      origins = tripEnds(from, opts.walkMeters);
+      dests = tripEnds(to, opts.walkMeters);
+      if (!origins || !dests) {
+         callback(new errors.UnknownStopError(null, {stop: origins ? to : from}), null);
+         return;
+      }
+
+      after = opts.at ? new Date(opts.at) : new Date();
+      itineraries = findItineraries(from, to, origins, dests, opts);
+
+      // live predictions are only any use for leaving now
+      itineraries.forEach(function (itinerary) {
+         itinerary.legs.forEach(function (leg) {
+            if (leg.mode === 'ride' && !opts.at) {
+               [leg.from.tag, leg.to.tag].forEach(function (stop) {
+                  var key = leg.route + '|' + stop;
+                  if (keys.indexOf(key) === -1) {
+                     keys.push(key);
+                     items.push({route: leg.route, stop: stop});
+                  }
+               });
+            }
+         });
+      });
+
+      // a failed request leaves the rides to the schedule, or untimed
+      predictMany(items, function (err, data) {
+         var live = {};
+
+         if (!err) {
+            data.forEach(function (results, i) {
+               live[keys[i]] = results.length && results[0].predictions || [];
+            });
+         }
+         timeItineraries(itineraries, live, after, opts, function () {
+            callback(null, itineraries.sort(function (a, b) {
+               if (!a.arrival || !b.arrival) {
+                  return (a.arrival ? 0 : 1) - (b.arrival ? 0 : 1) || a.rough - b.rough;
                }
+               return a.arrival - b.arrival || a.transfers - b.transfers;
+            }).slice(0, opts.limit).map(function (itinerary) {
+               delete itinerary.rough;
+               return itinerary;
+            }));
+         });
+      }, {units: 'full', timeoutMs: opts.timeoutMs});
+   }
+
+   /*
+      Function: tripEta
+      Tells a rider when they'll arrive.  The predictions at the origin and
+      the destination are fetched together, and each vehicle leaving the
+      origin is followed to its prediction at the destination, by trip tag or
+      vehicle.  Only routes with a direction going from the origin to the
+      destination are used.
+
+      Parameters:
+         origin      - *string* stop tag or title
+         destination - *string* stop tag or title
+         options     - *object* optional
+         options.route     - *string* route tag to restrict the trips to
+         options.timeoutMs - *Number* request timeout for this call
+         callback    - *function (err, data)* called with results, can be
+                       left out to get a Promise
+
+      Callback return:
+         data        - *array* of upcoming trips, soonest departure first
+         data[i].route          - *string* route tag
+         data[i].routeTitle     - *string* route title
+         data[i].direction      - *string* direction tag
+         data[i].directionTitle - *string* direction title
+         data[i].origin         - *string* stop tag left from
+         data[i].destination    - *string* stop tag arrived at
+         data[i].vehicle        - *string* vehicle id, or null
+         data[i].tripTag        - *string* trip tag, or null
+         data[i].departure      - *Date* predicted departure from the origin
+         data[i].arrival        - *Date* predicted arrival at the destination
+         data[i].rideMinutes    - *Number* minutes between them
+
+      Example:
+         > var trips = await nextbus.tripEta('Scott Hall', 'Hill Center',
+         >                                   {route: 'a'});
+   */
+
+   function tripEta (origin, destination, options, callback) {
+      var from, to, legs = [], keys = [], str = '';
+
+      if (typeof options === "function") {
+         callback = options;
+         options = null;
+      }
+      if (typeof callback !== "function") {
+         return promise(function (callback) {
+            tripEta(origin, destination, options, callback);
+         });
+      }
+      options = options || {};
+
+      if (!isAgencyCached) {
+         callback(new errors.NoCacheError(), null);
+         return;
+      }
+      if (options.route && !agencyData.routes[options.route]) {
+         callback(new errors.UnknownRouteError(null, {route: options.route}), null);
+         return;
+      }
+
+      from = typeof origin === "string" && tripEnds(origin, 0);
+      to = typeof destination === "string" && tripEnds(destination, 0);
+      if (!from) {
+         callback(new errors.UnknownStopError(null, {stop: origin}), null);
+         return;
+      } else if (!to) {
+         callback(new errors.UnknownStopError(null, {stop: destination}), null);
+         return;
+      }
+
+      // the rides from each origin stop that reach a destination stop
+      from.forEach(function (start) {
+         rides(start.tag, true).forEach(function (ride) {
+            var matches = to.some(function (end) { return end.tag === ride.to; });
+
+            if (matches && (!options.route || ride.route === options.route)) {
+               legs.push(ride);
+               [ride.from, ride.to].forEach(function (tag) {
+                  var key = ride.route + '|' + tag;
+                  if (keys.indexOf(key) === -1) {
+                     keys.push(key);
+                     str += "&stops=" + ride.route + "|null|" + tag;
+                  }
+               });
+            }
+         });
+      });
+
+      if (legs.length === 0) {
+         callback(null, []);
+         return;
+      }
+
+      predictionQuery(str, function (err, response, url) {
+         var live = {}, ret = [], seen = {};
+
+         try {
+            if (err) {
+               throw err;
             }
+            readPredictions(response).forEach(function (data) {
+               live[data.attrs.routeTag + '|' + data.attrs.stopTag] =
+                  data.predictions.map(function (attrs) {
+                     return prediction(attrs, 'full');
+                  });
+            });
+         } catch (e) {
+            callback(parseFailure(e, "predictionsForMultiStops", url), null);
+            return;
+         }
+
+         legs.forEach(function (ride) {
+            var board = (live[ride.route + '|' + ride.from] || []).filter(function (p) {
+               return !p.dirTag || p.dirTag === ride.dir.tag;
+            });
+
+            joinTrips(board, live[ride.route + '|' + ride.to] || [], 0).forEach(function (trip) {
+               // a title standing for several stop tags can match a trip twice
+               var key = [ride.route, trip.depart.tripTag, trip.depart.vehicle,
+                          trip.depart.epochTime].join('|');
+
+               if (seen[key]) {
+                  return;
+               }
+               seen[key] = true;
+               ret.push({
+                  route          : ride.route,
+                  routeTitle     : agencyData.routes[ride.route].title,
+                  direction      : ride.dir.tag,
+                  directionTitle : ride.dir.title,
+                  origin         : ride.from,
+                  destination    : ride.to,
+                  vehicle        : trip.depart.vehicle,
+                  tripTag        : trip.depart.tripTag,
+                  departure      : trip.depart.arrival,
+                  arrival        : trip.arrive.arrival,
+                  rideMinutes    : (trip.arrive.epochTime - trip.depart.epochTime) / 60000
+               });
+            });
+         });
+
+         callback(null, ret.sort(function (a, b) {
+            return a.departure - b.departure || a.arrival - b.arrival;
+         }));
+      }, options);
+   }
+
+   /*
+      Function: getMessages
+      Retrieves the messages (service alerts and detours) nextbus has for some
+      routes.  Messages for the whole agency are always included.
+
+      Parameters:
+         routes      - *string* or *array* of route tags.  If null, messages
+                       for every route are retrieved.
+         callback    - *function (err, data)* called with results.  If left
+                       out, a Promise is returned, and options can be given
+                       in its place.
+         options     - *object* optional
+         options.timeoutMs - *Number* request timeout for this call,
+                             overriding the client's
+
+      Callback return:
+         data        - *array* of messages
+         data[i].id            - *string* message id
+         data[i].text          - *string* message text
+         data[i].priority      - *string* 'Low', 'Normal' or 'High'
+         data[i].creator       - *string* who created the message
+         data[i].sendToBuses   - *boolean* whether drivers see the message
+         data[i].startBoundary - *Date* when the message takes effect, or null
+         data[i].endBoundary   - *Date* when the message expires, or null
+         data[i].agencyWide    - *boolean* whether it applies to every route
+         data[i].routes        - *array* of {tag, stops} the message applies
+                                 to.  stops is an array of stop tags; if it's
+                                 empty, the message applies to the whole
+                                 route.
+   */
+
+   function getMessages (routes, callback, options) {
+      var str = '';
+
+      if (typeof callback !== "function") {
+         options = callback || options;
+         return promise(function (callback) {
+            getMessages(routes, callback, options);
+         });
+      }
+
+      if (typeof routes === "string") {
+         routes = [routes];
+      }
+      (routes || []).forEach(function (route) {
+         str += "&r=" + encodeURIComponent(route);
+      });
+
+      query("messages", str, function (err, response, url) {
+         var ret = [], seen = {}, routeTag = null, message = null, inText = false;
+
+         function time (attr) {
+            return attr ? new Date(Number(attr)) : null;
+         }
+
+         try {
+            if (err) {
+               throw err;
+            }
+
+            read(response, {
+               open: function (name, attrs) {
+                  if (name === 'route') {
+                     routeTag = attrs.tag;
+                  } else if (name === 'message') {
+                     // a message applying to several of the requested routes
+                     // is listed under each of them
+                     message = seen[attrs.id] ? null : {
+                        id             : attrs.id,
+                        text           : '',
+                        priority       : attrs.priority,
+                        creator        : attrs.creator,
+                        sendToBuses    : attrs.sendToBuses === 'true',
+                        startBoundary  : time(attrs.startBoundary),
+                        endBoundary    : time(attrs.endBoundary),
+                        agencyWide     : false,
+                        routes         : []
+                     };
+                     seen[attrs.id] = true;
+                  } else if (!message) {
+                     return;
+                  } else if (name === 'routeConfiguredForMessage') {
+                     message.routes.push({tag: attrs.tag, stops: []});
+                  } else if (name === 'stop' && message.routes.length) {
+                     message.routes[message.routes.length - 1].stops.push(attrs.tag);
+                  } else if (name === 'text') {
+                     inText = true;
+                  }
+               },
+               text: function (text) {
+                  if (message && inText) {
+                     message.text += text;
+                  }
+               },
+               close: function (name) {
+                  if (name === 'text') {
+                     inText = false;
+                  } else if (name === 'message' && message) {
+                     // without any configured routes, the message applies to
+                     // the route it's listed under, or everything if that's
+                     // 'all'
+                     if (message.routes.length === 0) {
+                        if (routeTag === 'all') {
+                           message.agencyWide = true;
+                        } else {
+                           message.routes.push({tag: routeTag, stops: []});
+                        }
+                     }
+                     ret.push(message);
+                     message = null;
+                  }
+               }
+            });
+         } catch (e) {
+            callback(parseFailure(e, "messages", url), null);
+            return;
+         }
+
+         callback(null, ret);
+      }, options);
+   }
+
+   /*
+      Function: closestStops
+      Finds closest stops to a particular lat and lon.  Will use only active
+      stops if that information has been retrieved.  Stops with the same
+      title are treated as one stop, at the location of whichever of its tags
+      is closest.
+
+      Parameters:
+         lat      - *Number* latitude
+         lon      - *Number* longitutde
+         num      - *Number* number of stops to return, defaults to 3
+
+      Returns:
+         *array* of the closest stops, closest first
+         [i].title    - *string* stop title
+         [i].tag      - *string* tag of the closest stop with this title
+         [i].lat      - *Number* latitude of that stop
+         [i].lon      - *Number* longitude of that stop
+         [i].distance - *Number* distance to the stop in meters
+         [i].bearing  - *Number* bearing from lat, lon to the stop in degrees
+
+      Example:
+         > nextbus.closestStops(40.5026240, -74.4516850, 1);
+         > // [ { title: 'Rutgers Student Center', tag: 'rutgerss',
+         > //     lat: 40.503222, lon: -74.4519619,
+         > //     distance: 70.5, bearing: 340.6 } ]
+   */
+   function closestStops (lat, lon, num) {
+      num = num || 3; // default to 3
+      return stopDistances(lat, lon).slice(0, num);
+   }
+
+   /*
+      Function: stopsWithinRadius
+      Finds every stop within some distance of a particular lat and lon.  Like
+      <closestStops>, uses only active stops if that information has been
+      retrieved.
+
+      Parameters:
+         lat      - *Number* latitude
+         lon      - *Number* longitude
+         meters   - *Number* radius to search
+
+      Returns:
+         *array* of stops, closest first, in the same format as
+         <closestStops>
+   */
+   function stopsWithinRadius (lat, lon, meters) {
+      return stopDistances(lat, lon).filter(function (stop) {
+         return stop.distance <= meters;
+      });
+   }
+
+   /*
+      Function: cacheAgency
+      Load the agency data.  Somewhat slow as this is often a huge file.  
+      Also builds an object indexed by stop titles so stops with identical
+      titles but different tags can be treated as a single stop, and
+      geohashes the location of each title for the sortedStops list and the
+      active stops of <guessActive>.  <closestStops> doesn't use the
+      geohashes; it measures the distance to each stop.
+
+      Along with stops and directions, each route keeps its color and
+      oppositeColor (hex, without '#'), shortTitle, bounds (latMin, latMax,
+      lonMin and lonMax) and paths, an array of polylines of {lat, lon}
+      points.  Directions keep their name and useForUI flag.  See
+      <getRoutePath> and <getRouteStyle>.  Directions also keep their stops
+      as an array of tags in travel order, see <getStopsForDirection>.
+
+      With a geofence, routes that stay inside it are cached as they are.
+      Routes that partly leave it are handled by the geofence policy: 'clip'
+      removes the stops and path outside the geofence from the route, 'keep'
+      caches the whole route, and 'drop' leaves the route out.  Routes
+      entirely outside the geofence are always left out, as are stops no
+      cached route serves.
+
+      Parameters:
+         agency      - *string* name of the agency to cache.  If null, the
+                       agency passed to the client is used.
+         lower_bound - *Number* southernmost latitude of routes to keep, can
+                       be omitted along with upper_bound.  These take the
+                       place of the client's geofence.
+         upper_bound - *Number* northernmost latitude of routes to keep
+         callback    - *function (err, data)* called when the process is
+                       complete.  If left out, a Promise is returned.
+         options     - *object* optional
+         options.timeoutMs - *Number* request timeout for this call,
+                             overriding the client's
+
+      The bounds can be left out with options still given, as in
+      cacheAgency(name, callback, options), or cacheAgency(name, options)
+      for a Promise.
+   */
+   function cacheAgency (name, lower_bound, upper_bound, callback, options) {
+      var out = {}, routeTag, route = null, direction = null, path = null;
+      if (typeof lower_bound === "function" ||
+          (lower_bound !== null && typeof lower_bound === "object")) {
+         // called as cacheAgency(name, callback, options)
+         options = typeof lower_bound === "function" ? upper_bound : lower_bound;
+         callback = typeof lower_bound === "function" ? lower_bound : null;
+         lower_bound = upper_bound = null;
+      }
+      if (typeof callback !== "function") {
+         return promise(function (callback) {
+            cacheAgency(name, lower_bound, upper_bound, callback, options);
+         });
+      }
+      name = name || agency;
+      if (typeof name !== "string") {
+         callback(new errors.InvalidArgumentError("agency must be a string"), null);
+         return;
+      }
+      out.routes = {};
+      out.stops = {};
+      agency = name;
+
+      function addStop (attrs) {
+         var stop = attrs.tag;
+
+         // If we already saw this stop, skip it
+         if (route.stops.indexOf(stop) !== -1) {
+            return;
+         }
+
+         // initialize to defaults values.  if this stop in out.stops
+         // is already set this does nothing, otherwise it sets intial values.
+         out.stops[stop] = out.stops[stop] || {
+            routes     : [],
+            queries    : {},
+            title      : attrs.title,
+            shortTitle : attrs.shortTitle,
+            lat        : attrs.lat,
+            lon        : attrs.lon
+         };
+
+         route.stops.push(stop);
+         out.stops[stop].routes.push(routeTag);
+         out.stops[stop].stopId = attrs.stopId;
+      }
+
+      // actually run the query.  the cache is built as the response streams
+      // in, without keeping the xml around
+      query("routeConfig", '', function (err, response, url) {
+         var fence;
+
+         try {
+            if (err) {
+               throw err;
+            }
+
+            fence = fenceFor(lower_bound, upper_bound);
+            if (fence) {
+               applyGeofence(out, fence);
+            }
+
+            agencyData = out;
+            isAgencyCached = true;
+
+            // combine like stop names
+            combineStops();
+
+            // created sorted lists of stops
+            sort();
+            callback(null, out);
+
+         } catch (e) {
+            callback(parseFailure(e, "routeConfig", url), null);
+         } 
+      }, {
+         timeoutMs : options ? options.timeoutMs : undefined,
+         handlers  : {
+            open: function (name, attrs) {
+               if (name === 'route') {
+                  routeTag = attrs.tag;
+                  route = out.routes[routeTag] = {
+                     queries     : {},
+                     stops       : [],
+                     directions  : [],
+                     paths       : [],
+                     title       : attrs.title,
+                     shortTitle  : attrs.shortTitle,
+                     color       : attrs.color || undefined,
+                     oppositeColor : attrs.oppositeColor || undefined,
+                     bounds      : {
+                        latMin   : Number(attrs.latMin),
+                        latMax   : Number(attrs.latMax),
+                        lonMin   : Number(attrs.lonMin),
+                        lonMax   : Number(attrs.lonMax)
+                     }
+                  };
+               } else if (!route) {
+                  return;
+               } else if (name === 'direction') {
+                  direction = {
+                     title    : attrs.title,
+                     tag      : attrs.tag,
+                     name     : attrs.name || undefined,
+                     useForUI : attrs.useForUI === 'true',
+                     stops    : []
+                  };
+                  route.directions.push(direction);
+               } else if (name === 'stop' && direction) {
+                  // the stops of a direction are listed in travel order
+                  direction.stops.push(attrs.tag);
+               } else if (name === 'stop') {
+                  addStop(attrs);
+               } else if (name === 'path') {
+                  // each path is a polyline; together they draw the route
+                  path = [];
+                  route.paths.push(path);
+               } else if (name === 'point' && path) {
+                  path.push({lat: Number(attrs.lat), lon: Number(attrs.lon)});
+               }
+            },
+            close: function (name) {
+               if (name === 'route') {
+                  route = null;
+               } else if (name === 'direction') {
+                  direction = null;
+               } else if (name === 'path') {
+                  path = null;
+               }
+            }
+         }
+      });
+   }
+
+   /*
+      Function: agencyList
+      Retrieves the list of agencies served by nextbus.  This doesn't require
+      an agency cache.
+
+      Parameters:
+         callback    - *function (err, data)* called with results.  If left
+                       out, a Promise is returned, and options can be given
+                       in its place.
+         options     - *object* optional
+         options.timeoutMs - *Number* request timeout for this call,
+                             overriding the client's
+
+      Callback return:
+         data        - *array* of agencies, sorted as nextbus sorts them
+         data[i].tag         - *string* agency tag, as passed to
+                               <cacheAgency> or the client options
+         data[i].title       - *string* agency title
+         data[i].shortTitle  - *string* short title, if the agency has one
+         data[i].regionTitle - *string* region the agency is in
+   */
+   function agencyList (callback, options) {
+      if (typeof callback !== "function") {
+         options = callback || options;
+         return promise(function (callback) {
+            agencyList(callback, options);
+         });
+      }
+
+      query("agencyList", '', function (err, response, url) {
+         var ret = [];
+
+         try {
+            if (err) {
+               throw err;
+            }
+
+            read(response, {
+               open: function (name, attrs) {
+                  if (name === 'agency') {
+                     ret.push({
+                        tag         : attrs.tag,
+                        title       : attrs.title,
+                        shortTitle  : attrs.shortTitle,
+                        regionTitle : attrs.regionTitle
+                     });
+                  }
+               }
+            });
+         } catch (e) {
+            callback(parseFailure(e, "agencyList", url), null);
+            return;
+         }
+
+         callback(null, ret);
+      }, options);
+   }
+
+   /*
+      Function: getRoutePath
+      Gets the path of a route, as drawn by nextbus.  The path is made up of
+      several polylines which don't necessarily connect or follow the order of
+      the stops.
+
+      Parameters:
+         route       - *string* route tag
+
+      Returns:
+         *array* of polylines, each an array of {lat, lon} points, or null if
+         the route isn't cached
+   */
+   function getRoutePath (route) {
+      var routeData = agencyData.routes && agencyData.routes[route];
+      return routeData ? routeData.paths : null;
+   }
+
+   /*
+      Function: getRouteStyle
+      Gets the colors nextbus uses to draw a route.
+
+      Parameters:
+         route       - *string* route tag
+
+      Returns:
+         *object* with color (the route's color) and oppositeColor (a color
+         that contrasts with it, for text), both as '#rrggbb' strings, or
+         null if the route isn't cached.  Either color is null if the
+         agency doesn't set it.
+   */
+   function getRouteStyle (route) {
+      var routeData = agencyData.routes && agencyData.routes[route];
+      if (!routeData) {
+         return null;
+      }
+
+      return {
+         color          : routeData.color ? '#' + routeData.color : null,
+         oppositeColor  : routeData.oppositeColor ? '#' + routeData.oppositeColor : null
+      };
+   }
+
+   /*
+      Function: snapToRoute
+      Places a point, like a vehicle's location, on a direction of a route.
+      The direction is drawn from its stops, in order, joined by the parts
+      of the route's path running between them, or by straight lines where
+      the path doesn't.  A route with a single direction is taken to be a
+      loop, which runs from its last stop back to its first.
+
+      Parameters:
+         route       - *string* route tag
+         direction   - *string* direction tag, title or name.  If null or
+                       not one of the route's, the direction closest to the
+                       point is used.
+         lat, lon    - *Number* the point, can be strings
+
+      Returns:
+         *object* or null if the route isn't cached or has no stops
+
+         route          - *string* route tag
+         direction      - *string* direction tag
+         lat, lon       - *Number* the point on the direction's path
+         offRoute       - *Number* meters from the point to the path
+         distance       - *Number* meters along the path from the first stop
+         progress       - *Number* percent of the path covered, 0 to 100
+         previousStop   - *object* {tag, title, distance} of the last stop
+                          passed, distance being meters back along the path,
+                          or null before the first stop
+         nextStop       - *object* {tag, title, distance} of the next stop,
+                          or null past the last
+
+      Example:
+         > var at = nextbus.snapToRoute('a', 'To Busch', 40.5005, -74.4475);
+         > // between at.previousStop.title and at.nextStop.title
+   */
+   function snapToRoute (route, direction, lat, lon) {
+      var routeData = agencyData.routes && agencyData.routes[route],
+          dirData, best = null;
+
+      if (!routeData) {
+         return null;
+      }
+
+      dirData = direction != null && findDirection(routeData, direction);
+      (dirData ? [dirData] : routeData.directions).forEach(function (dir) {
+         var shape = directionShape(route, dir), position;
+
+         if (shape) {
+            position = placeOnShape(shape, lat, lon);
+            if (!best || position.offRoute < best.offRoute) {
+               best = position;
+               best.direction = dir.tag;
+            }
+         }
+      });
+
+      if (best) {
+         best.route = route;
+      }
+      return best;
+   }
+
+   /*
+      Function: getStopsForDirection
+      Gets the stops of a direction of a route, in the order the direction
+      travels.
+
+      Parameters:
+         route       - *string* route tag
+         direction   - *string* direction tag, title or name
+
+      Returns:
+         *array* of {tag, title} stops, or null if the route or direction
+         isn't cached
+   */
+   function getStopsForDirection (route, direction) {
+      var routeData = agencyData.routes && agencyData.routes[route],
+          dirData = routeData && findDirection(routeData, direction);
+
+      if (!dirData) {
+         return null;
+      }
+
+      return dirData.stops.map(function (tag) {
+         return {tag: tag, title: agencyData.stops[tag].title};
+      });
+   }
+
+   /*
+      Function: getDirectionsForStop
+      Gets every direction of every route which serves a stop.
+
+      Parameters:
+         stop        - *string* stop tag or title.  A title includes every
+                       stop tag with that title.
+
+      Returns:
+         *array* of {route, direction, title, stop} where route is the route
+         tag, direction and title are the direction tag and title, and stop
+         is the stop tag served.  null if the stop isn't cached.
+   */
+   function getDirectionsForStop (stop) {
+      var tags, ret = [];
+
+      if (agencyData.stops && agencyData.stops[stop]) {
+         tags = [stop];
+      } else if (agencyData.stopsByTitle && agencyData.stopsByTitle[stop]) {
+         tags = agencyData.stopsByTitle[stop].tags;
+      } else {
+         return null;
+      }
+
+      tags.forEach(function (tag) {
+         agencyData.stops[tag].routes.forEach(function (route) {
+            agencyData.routes[route].directions.forEach(function (dir) {
+               if (dir.stops.indexOf(tag) !== -1) {
+                  ret.push({
+                     route       : route,
+                     direction   : dir.tag,
+                     title       : dir.title,
+                     stop        : tag
+                  });
+               }
+            });
+         });
+      });
+
+      return ret;
+   }
+
+   /*
+      Function: setAgencyCache
+      Set the agency cache to a given object.  This is useful if you'd like to
+      generate the agency cache only once or load the agency cache from another
+      location.
+
+      A cache saved by an older version of nextbusjs is brought up to date
+      as far as it can be: it doesn't know which stops each direction
+      serves, so each direction is taken to serve every stop of its route,
+      and its routes have no paths.  Cache the agency again for the rest.
+
+      Parameters:
+         data            - *object* agency cache object
+         agencyname      - *string* name of the agency, defaults to the one
+                           the client already has.  Queries fail with an
+                           InvalidArgumentError while there is none.
+   */
+   function setAgencyCache (data, agencyname) {
+      upgradeCache(data);
+      agencyData = data;
+      agency = agencyname || agency;
+      isAgencyCached = true;
+   }
+
+   /* Function: upgradeCache
+    * Fills in what an agency cache from an older version lacks, see
+    * <setAgencyCache>.
+    *
+    * Parameters:
+    *    data     - *object* agency cache object, changed in place
+    */
+
+   function upgradeCache (data) {
+      Object.keys(data.routes || {}).forEach(function (route) {
+         var routeData = data.routes[route];
+
+         routeData.paths = routeData.paths || [];
+         routeData.directions = routeData.directions || [];
+         routeData.directions.forEach(function (dir) {
+            dir.stops = dir.stops || routeData.stops.slice();
+         });
+      });
+   }
+
+   /*
+      Function: getAgencyCache
+      Get the cached agency data.  This is useful if you'd like to save this cache
+      or send it to a client.
+
+      Returns:
+         *object* agency cache
+   */
+   function getAgencyCache () {
+      return agencyData;
+   }
+
+   function rand (to) {
+      return Math.floor(Math.random() * (to + 1));
+   }
+
+   /* Function: guessActive
+    * Guesses which routes are currently active by running a vehicleLocations
+    * query to discover which routes are active.  Then, assumes that
+    * every stop on each active route is active, yielding a list of active
+    * routes and active stops for this agency.
+    *
+    * Parameters:
+    *    lower_bound - *Number* southernmost latitude of vehicles to consider,
+    *                  can be omitted along with upper_bound to use the
+    *                  client's geofence
+    *    upper_bound - *Number* northernmost latitude of vehicles to consider
+    *    callback    - *function (err, data)* called with results; data.routes
+    *                  and data.stops will have alphabetically sorted arrays of
+    *                  active routes and stops respectively.  If left out, a
+    *                  Promise is returned.
+    */
+
+   function guessActive (lower_bound, upper_bound, callback) {
+        if (typeof lower_bound === "function") {
+          // called as guessActive(callback)
+          callback = lower_bound;
+          lower_bound = upper_bound = null;
+        }
+        if (typeof callback !== "function") {
+          return promise(function (callback) {
+            guessActive(lower_bound, upper_bound, callback);
+          });
+        }
+        if (!isAgencyCached) {
+          callback(new errors.NoCacheError(), null);
+          return;
+        }
+  
+      // we temporarily use hashes for activeRoutes/Stops, because then we
+      // don't have to deal with duplicates.  Once we've gone through
+      // everything one time and we have activeRoutes and activeStops
+      // completed, we'll loop over these hashes to build the final output
+      // hash.
+
+      var activeRoutes  = {}, 
+          activeStops   = {}, 
+          active        = {},
+          route, 
+          i, 
+          stops, 
+          len, 
+          str           = '';
+
+      // first, we guess which routes are active.
+      
+      // we do this by simply running a vehiclelocations query.  we assume
+      // any routes that have buses running are active
+      vehicleLocations(lower_bound, upper_bound, null, function (err, response) {
+         if (err) {
+            callback(err, null);
+            return;
+         }
+         var i, item, route, data, stop;
+         // our response will be an object mapping routes to vehicles.  we dont
+         // care about the values, but the keys tell us exactly which routes are
+         // active.
+         activeRoutes = response;
+         // second, we use our route guesses to mark the stops as active
+         active.time = new Date().getTime();
+         active.routes = [];
+         active.stops = [];
+         if (!activeRoutes) {
+            callback(null, active);
+            return;
+         }
+         // loop over the active routes
+         for (route in activeRoutes) {
+            if (activeRoutes.hasOwnProperty(route)) {
+               // add to the final output
+               active.routes.push({tag: route, title: agencyData.routes[route].title});
+               for (i = 0; i < agencyData.routes[route].stops.length; i++) {
+                  // add each stop of current route to active stops list
+                  stop = agencyData.routes[route].stops[i];
+                  activeStops[agencyData.stops[stop].title] = true;
+               }
+            }
+         }
+
+         // lastly, we build the final return data
+         for (stop in activeStops) {
+            if (activeStops.hasOwnProperty(stop)) {
+               active.stops.push({
+                  title:      stop,
+                  geoHash:    agencyData.stopsByTitle[stop].geoHash
+               });
+            }
+         }
+
+         // sort the active routes & stops
+         active.routes.sort(function (a, b) { 
+            return a.title.localeCompare(b.title); 
+         });
+         active.stops.sort(function (a, b) { 
+            return a.title.localeCompare(b.title); 
+         });
+
+         agencyData.active = active;
+
+         callback(null, active);
+      });
+   }
+
+   /* Function: setActive
+    * Sets the active info, if retrieved from another nextbusjs client
+    *
+    * Parameters:
+    *    active      - *object* active stops and routes
+    */
+
+   function setActive (active) {
+      agencyData.active = active;
+   }
+
+   /* Function: vehicleLocations
+    * Runs a vehicleLocations query against nextbus.  Can optionally filter to
+    * a particular route.  By default, this command will return only the
+    * vehicles which are in a different location since the last call to the
+    * function for the same route (ie, lastTime is handled).  This can be
+    * overridden by passing true as the final argument.  To follow every
+    * vehicle rather than just the changes, see <trackVehicles>.
+    *
+    * Vehicles outside the client's geofence are left out, as are vehicles
+    * of routes the agency cache doesn't have.
+    *
+    * Parameters:
+    *    lower_bound - *Number* southernmost latitude of vehicles to return,
+    *                  can be null along with upper_bound to use the client's
+    *                  geofence
+    *    upper_bound - *Number* northernmost latitude of vehicles to return
+    *    route       - *string* routeTag to use in the query.  Will only return
+    *                  vehicles in this route.  If null is passed, will return
+    *                  all vehicles.
+    *    callback    - *function (err, data)* to be called with the return data.
+    *                  If null, a Promise is returned.  resetTime can also be
+    *                  given in its place.
+    *    resetTime   - *boolean* if truthy, will ignore lastTime and run the
+    *                  query without the 't' parameter.  This will return buses
+    *                  which have moved in the last 15 minutes.  If falsy, will
+    *                  use the last time the function was called for the
+    *                  route as lastTime.  Can also be an options object:
+    *    resetTime.resetTime - *boolean* as above
+    *    resetTime.timeoutMs - *Number* request timeout for this call,
+    *                          overriding the client's
+    *
+    * Callback return:
+    *    err         - *error* object, if one occurred.
+    *    data        - *object* mapping routes to arrays
+    *    data[route] - *array* of vehicles for this route
+    *    data[route][i][id] - *string* vehicle id number
+    *    data[route][i][direction] - *string* direction tag
+    *    data[route][i][lat] - *string* latitude, float as string
+    *    data[route][i][lon] - *string* longitude, float as string
+    *    data[route][i][since] - *string* seconds since the query was run
+    *    data[route][i][predictable] - *boolean* whether the vehicle is
+    *                                  predictable. not sure what this means,
+    *                                  but it's returned by the api, so its
+    *                                  here for consistency
+    *    data[route][i][heading] - *string* heading
+    *    data[route][i][speed]   - *string* speed in km/h
+    *    data[route][i][position] - *object* the vehicle's place on its route
+    *                               and direction, see <snapToRoute>.  null
+    *                               if the agency isn't cached.
+    */
+
+   function vehicleLocations (lower_bound, upper_bound, route, callback, resetTime) {
+      var str = '', fence, opts;
+      if (typeof callback !== "function") {
+         if (typeof callback === "boolean" || (callback && typeof callback === "object")) {
+            resetTime = callback;
+         }
+         return promise(function (callback) {
+            vehicleLocations(lower_bound, upper_bound, route, callback, resetTime);
+         });
+      }
+      opts = resetTime && typeof resetTime === "object" ? resetTime : {resetTime: resetTime};
+      fence = fenceFor(lower_bound, upper_bound);
+      if (route) {
+         str += '&r=' + route;
+      }
+
+      if (!opts.resetTime && vehicleLastTimes[route || '']) {
+         str += "&t=" + vehicleLastTimes[route || ''];
+      }
+      query('vehicleLocations', str, function (err, response, url) {
+         var result = {}, data;
+
+         try {
+            if (err) {
+               throw err;
+            }
+            data = readVehicles(response);
+         } catch (e) {
+            callback(parseFailure(e, "vehicleLocations", url), null);
+            return;
+         }
+
+         vehicleLastTimes[route || ''] = data.lastTime;
+         data.vehicles.forEach(function (vehicle) {
+            if (knownRoute(vehicle.route) &&
+                (!fence || fence.inside(vehicle.lat, vehicle.lon))) {
+               result[vehicle.route] = result[vehicle.route] || [];
+               result[vehicle.route].push({
+                  id:      vehicle.id,
+                  dirtag:  vehicle.dirtag,
+                  lat:     vehicle.lat,
+                  lon:     vehicle.lon,
+                  predictable: vehicle.predictable,
+                  heading: vehicle.heading,
+                  since:   vehicle.since,
+                  speed:   vehicle.speed,
+                  position: snapToRoute(vehicle.route, vehicle.dirtag,
+                                        vehicle.lat, vehicle.lon)
+               });
+            }
+         });
+
+         callback(null, result);
+      }, opts);
+   }
+
+   /* Function: trackVehicles
+    * Follows the vehicles of the agency, or of one route, by polling
+    * vehicleLocations.  <vehicleLocations> only gives what changed since the
+    * last call, so the tracker keeps every vehicle it has seen and merges
+    * each response into that.  Each tracker keeps its own lastTime, so
+    * trackers and calls to <vehicleLocations> don't steal changes from one
+    * another.
+    *
+    * Vehicles outside the client's geofence (or bounds) are left out.  The
+    * first poll runs right after the tracker is returned, so listeners added
+    * straight away see every vehicle being added.
+    *
+    * Parameters:
+    *    options            - *object* optional, with
+    *    options.route      - *string* route tag to track, all routes if left
+    *                         out
+    *    options.intervalMs - *Number* time between polls, defaults to 15000
+    *    options.staleSecs  - *Number* seconds without a report after which a
+    *                         vehicle is stale, defaults to 120
+    *    options.removeSecs - *Number* seconds without a report after which a
+    *                         vehicle is dropped, defaults to 300
+    *
+    * Returns:
+    *    *object* tracker, an event emitter (on, once, off) with
+    *
+    *    vehicles() - *array* of the vehicles being tracked
+    *    stop()     - stops polling, no events are emitted afterwards
+    *
+    * Vehicles are objects with id, route, dirtag, lat, lon, predictable,
+    * heading, since, speed and position, as from <vehicleLocations>, and
+    *
+    *    reportTime - *Number* time of the vehicle's last report, in ms since
+    *                 the epoch
+    *    stale      - *boolean* true once the vehicle is stale
+    *
+    * Events:
+    *    add    - *function (vehicle)* a vehicle is seen for the first time,
+    *             or again after being removed
+    *    move   - *function (vehicle, previous)* a vehicle reported a new
+    *             position, heading, direction or route, or reported again
+    *             after going stale
+    *    stale  - *function (vehicle)* a vehicle hasn't reported for staleSecs.
+    *             It is kept until removed.
+    *    remove - *function (vehicle)* a vehicle hasn't reported for
+    *             removeSecs, or reported from outside the geofence
+    *    update - *function (vehicles)* a poll finished, with every vehicle
+    *             being tracked
+    *    error  - *function (err)* a poll failed, polling carries on
+    *
+    * Example:
+    *    > var tracker = nextbus.trackVehicles({route: 'a', intervalMs: 10000});
+    *    > tracker.on('move', function (vehicle) { ... });
+    *    > tracker.stop();
+    */
+
+   function trackVehicles (options) {
+      var route, intervalMs, staleSecs, removeSecs, fence, emit,
+          tracker = emitter.create({}),
+          store = {},
+          lastTime = null;
+
+      options = options || {};
+      route = options.route || null;
+      intervalMs = options.intervalMs === undefined ? 15000 : options.intervalMs;
+      staleSecs = options.staleSecs === undefined ? 120 : options.staleSecs;
+      removeSecs = options.removeSecs === undefined ?
+         Math.max(300, staleSecs) : options.removeSecs;
+
+      [['intervalMs', intervalMs], ['staleSecs', staleSecs],
+       ['removeSecs', removeSecs]].forEach(function (option) {
+         if (typeof option[1] !== 'number' || !(option[1] > 0)) {
+            throw new errors.InvalidArgumentError(option[0] +
+               " must be a positive number");
+         }
+      });
+      if (removeSecs < staleSecs) {
+         throw new errors.InvalidArgumentError("removeSecs must be at least staleSecs");
+      }
+      fence = fenceFor(null, null);
+
+      function copy (vehicle) {
+         var ret = {}, key;
+         for (key in vehicle) {
+            if (vehicle.hasOwnProperty(key)) {
+               ret[key] = vehicle[key];
+            }
+         }
+         return ret;
+      }
+
+      function vehicles () {
+         return Object.keys(store).map(function (id) {
+            return copy(store[id]);
+         });
+      }
+
+      function moved (a, b) {
+         return a.lat !== b.lat || a.lon !== b.lon || a.heading !== b.heading ||
+                a.dirtag !== b.dirtag || a.route !== b.route;
+      }
+
+      function merge (reported, now) {
+         reported.forEach(function (vehicle) {
+            var previous = store[vehicle.id];
+
+            // marked stale by expire, so 'stale' is emitted
+            vehicle.reportTime = now - (Number(vehicle.since) || 0) * 1000;
+            vehicle.stale = false;
+            vehicle.position = snapToRoute(vehicle.route, vehicle.dirtag,
+                                           vehicle.lat, vehicle.lon);
+
+            if (previous && vehicle.reportTime < previous.reportTime) {
+               return;
+            } else if (!knownRoute(vehicle.route) ||
+                       (fence && !fence.inside(vehicle.lat, vehicle.lon))) {
+               if (previous) {
+                  delete store[vehicle.id];
+                  emit('remove', copy(previous));
+               }
+            } else if (previous) {
+               store[vehicle.id] = vehicle;
+               if (moved(vehicle, previous) || previous.stale) {
+                  emit('move', copy(vehicle), copy(previous));
+               }
+            } else if (now - vehicle.reportTime <= removeSecs * 1000) {
+               store[vehicle.id] = vehicle;
+               emit('add', copy(vehicle));
+            }
+         });
+      }
+
+      function expire (now) {
+         Object.keys(store).forEach(function (id) {
+            var vehicle = store[id], age = now - vehicle.reportTime;
+
+            if (age > removeSecs * 1000) {
+               delete store[id];
+               emit('remove', copy(vehicle));
+            } else if (age > staleSecs * 1000 && !vehicle.stale) {
+               vehicle.stale = true;
+               emit('stale', copy(vehicle));
+            }
+         });
+      }
+
+      function poll (callback) {
+         var str = route ? '&r=' + route : '';
+
+         if (lastTime) {
+            str += '&t=' + lastTime;
+         }
+         query('vehicleLocations', str, callback);
+      }
+
+      function polled (err, response, url) {
+         var data, now = Date.now();
+
+         try {
+            if (err) {
+               throw err;
+            }
+            data = readVehicles(response);
+         } catch (e) {
+            emit('error', parseFailure(e, "vehicleLocations", url));
+         }
+
+         if (data) {
+            lastTime = data.lastTime;
+            merge(data.vehicles, now);
+         }
+         expire(now);
+         if (data) {
+            emit('update', vehicles());
+         }
+         return intervalMs;
+      }
+
+      emit = startPolling(tracker, poll, polled);
+      tracker.vehicles = vehicles;
+      return tracker;
+   }
+
+   /* Function: watchStop
+    * Polls <stopPredict> for a stop, emitting only when the predictions
+    * change.  The polling adapts: it is faster as a vehicle nears the stop and
+    * slows down when nothing is running.
+    *
+    * Parameters:
+    *    stop      - *string* stop tag or title, as for <stopPredict>
+    *    opts      - *object* optional, see <watch>.  opts.direction limits
+    *                the predictions to a direction, as for <stopPredict>.
+    *
+    * Returns:
+    *    *object* watcher, see <watch>
+    *
+    * Example:
+    *    > var watcher = nextbus.watchStop('Hill Center', {arrivingSecs: 90});
+    *    > watcher.on('arriving', function (prediction, item) { ... });
+    *    > watcher.stop();
+    */
+
+   function watchStop (stop, opts) {
+      opts = opts || {};
+      return watch(function (callback) {
+         stopPredict(stop, opts.direction || null, callback, watchUnits(opts));
+      }, opts);
+   }
+
+   /* Function: watchRoute
+    * Polls <routePredict> for a route, like <watchStop> does for a stop.
+    *
+    * Parameters:
+    *    route     - *string* route tag
+    *    direction - *string* direction tag, title or name, can be null
+    *    opts      - *object* optional, see <watch>
+    *
+    * Returns:
+    *    *object* watcher, see <watch>
+    */
+
+   function watchRoute (route, direction, opts) {
+      opts = opts || {};
+      return watch(function (callback) {
+         routePredict(route, direction, callback, watchUnits(opts));
+      }, opts);
+   }
+
+   /* Function: getSchedule
+    * Runs a schedule query against nextbus for a route.  The schedule is
+    * split into timetables, one for each direction and service class
+    * (weekday, saturday, sunday, and so on) of the route.  The most recent
+    * schedule of each route is kept and used by <nextScheduled>.
+    *
+    * Parameters:
+    *    route       - *string* route tag
+    *    callback    - *function (err, data)* called with results.  If left
+    *                  out, a Promise is returned, and options can be given
+    *                  in its place.
+    *    options     - *object* optional
+    *    options.timeoutMs - *Number* request timeout for this call,
+    *                        overriding the client's
+    *
+    * Callback return:
+    *    data.tag    - *string* route tag
+    *    data.title  - *string* route title
+    *    data.timetables - *array* of timetables
+    *    data.timetables[i].direction    - *string* direction, as nextbus
+    *                                      names it in the schedule
+    *    data.timetables[i].serviceClass - *string* service class, ie. 'wkd',
+    *                                      'sat' or 'sun'
+    *    data.timetables[i].scheduleClass - *string* schedule (usually a
+    *                                       season) this timetable is from
+    *    data.timetables[i].stops        - *array* of {tag, title}, the
+    *                                      columns of the timetable
+    *    data.timetables[i].trips        - *array* of trips, the rows
+    *    data.timetables[i].trips[j].block - *string* block id
+    *    data.timetables[i].trips[j].times - *array* parallel to stops of
+    *                                        milliseconds after midnight, or
+    *                                        null if the trip skips the stop
+    */
+
+   function getSchedule (route, callback, options) {
+      if (typeof callback !== "function") {
+         options = callback || options;
+         return promise(function (callback) {
+            getSchedule(route, callback, options);
+         });
+      }
+
+      query('schedule', '&r=' + encodeURIComponent(route), function (err, response, url) {
+         var ret = {tag: route, title: null, timetables: []},
+             timetable = null, trip = null, inHeader = false, header = null;
+
+         try {
+            if (err) {
+               throw err;
+            }
+
+            read(response, {
+               open: function (name, attrs) {
+                  var time;
+
+                  if (name === 'route') {
+                     ret.title = attrs.title;
+                     timetable = {
+                        direction      : attrs.direction,
+                        serviceClass   : attrs.serviceClass,
+                        scheduleClass  : attrs.scheduleClass,
+                        stops          : [],
+                        trips          : []
+                     };
+                     ret.timetables.push(timetable);
+                  } else if (!timetable) {
+                     return;
+                  } else if (name === 'header') {
+                     inHeader = true;
+                  } else if (name === 'stop' && inHeader) {
+                     header = {tag: attrs.tag, title: ''};
+                     timetable.stops.push(header);
+                  } else if (name === 'tr') {
+                     trip = {block: attrs.blockID, times: []};
+                     timetable.trips.push(trip);
+                  } else if (name === 'stop' && trip) {
+                     // stops the trip doesn't serve have an epochTime of -1
+                     time = Number(attrs.epochTime);
+                     trip.times.push(time >= 0 ? time : null);
+                  }
+               },
+               text: function (text) {
+                  if (header) {
+                     header.title += text;
+                  }
+               },
+               close: function (name) {
+                  if (name === 'route') {
+                     timetable = null;
+                  } else if (name === 'header') {
+                     inHeader = false;
+                  } else if (name === 'stop') {
+                     header = null;
+                  } else if (name === 'tr') {
+                     trip = null;
+                  }
+               }
+            });
+         } catch (e) {
+            callback(parseFailure(e, "schedule", url), null);
+            return;
+         }
+
+         agencyData.schedules = agencyData.schedules || {};
+         agencyData.schedules[route] = ret;
+         callback(null, ret);
+      }, options);
+   }
+
+   /* Function: nextScheduled
+    * Finds the next scheduled departures from a stop after a given time,
+    * using the route's schedule.  This looks ahead as many days as needed, so
+    * it can answer "when is the first bus tomorrow" while a route isn't
+    * running.  The schedule is fetched if <getSchedule> hasn't been run for
+    * this route yet.
+    *
+    * Schedule times are interpreted in the local timezone of the device.
+    *
+    * Parameters:
+    *    route       - *string* route tag
+    *    stop        - *string* stop tag or title
+    *    opts        - *object* options, can be null
+    *    opts.after  - *Date* time to look for departures after, defaults to
+    *                  now
+    *    opts.limit  - *Number* max departures to return, defaults to 5
+    *    opts.direction - *string* only return departures in this direction
+    *    opts.timeoutMs - *Number* request timeout for fetching the schedule
+    *    callback    - *function (err, data)* called with results.  If left
+    *                  out, a Promise is returned.
+    *
+    * Callback return:
+    *    data        - *array* of departures, soonest first
+    *    data[i].time         - *Date* scheduled departure time
+    *    data[i].stop         - *string* stop tag
+    *    data[i].direction    - *string* direction of the timetable
+    *    data[i].serviceClass - *string* service class of the timetable
+    *    data[i].block        - *string* block id of the trip
+    */
+
+   function nextScheduled (route, stop, opts, callback) {
+      var tags;
+
+      if (typeof opts === "function") {
+         callback = opts;
+         opts = null;
+      }
+      if (typeof callback !== "function") {
+         return promise(function (callback) {
+            nextScheduled(route, stop, opts, callback);
+         });
+      }
+      opts = opts || {};
+
+      if (agencyData.stopsByTitle && agencyData.stopsByTitle[stop]) {
+         tags = agencyData.stopsByTitle[stop].tags;
+      } else {
+         tags = [stop];
+      }
+
+      if (agencyData.schedules && agencyData.schedules[route]) {
+         callback(null, departures(agencyData.schedules[route]));
+      } else {
+         getSchedule(route, function (err, schedule) {
+            if (err) {
+               callback(err, null);
+            } else {
+               callback(null, departures(schedule));
+            }
+         }, opts);
+      }
+
+      function departures (schedule) {
+         var after = opts.after ? new Date(opts.after) : new Date(),
+             limit = opts.limit || 5,
+             ret = [], day, midnight, days, filled = null;
+
+         // start the day before, trips late at night run past midnight and
+         // have times greater than 24 hours.  for the same reason, keep going
+         // one day past the day that filled the limit.
+         for (day = -1; day < 8 && (filled === null || day <= filled + 1); day++) {
+            midnight = new Date(after.getFullYear(), after.getMonth(),
+                                after.getDate() + day);
+
+            schedule.timetables.forEach(function (timetable) {
+               days = SERVICE_DAYS[String(timetable.serviceClass).toLowerCase()];
+               if (!days || days.indexOf(midnight.getDay()) === -1) {
+                  return;
+               }
+               if (opts.direction && opts.direction !== timetable.direction) {
+                  return;
+               }
+
+               timetable.stops.forEach(function (column, j) {
+                  if (tags.indexOf(column.tag) === -1) {
+                     return;
+                  }
+                  timetable.trips.forEach(function (trip) {
+                     var time;
+                     if (trip.times[j] === null) {
+                        return;
+                     }
+                     time = scheduleTime(midnight, trip.times[j]);
+                     if (time < after) {
+                        return;
+                     }
+                     ret.push({
+                        time           : time,
+                        stop           : column.tag,
+                        direction      : timetable.direction,
+                        serviceClass   : timetable.serviceClass,
+                        block          : trip.block
+                     });
+                  });
+               });
+            });
+
+            if (filled === null && ret.length >= limit) {
+               filled = day;
+            }
+         }
+
+         ret.sort(function (a, b) { return a.time - b.time; });
+         return ret.slice(0, limit);
+      }
+   }
+
+   /* Function: setActiveExpireTime
+    * Sets the amount of time it takes for the active information to expire.
+    * Default 10 minutes.
+    *
+    * Parameters:
+    *    time     - *number* time in seconds
+    */
+
+   function setActiveExpireTime (time) {
+      activeExpireTime = time * 1000;
+   }
+
+   setActiveExpireTime(options.activeExpireTime || 600);
+
+   /* Function: getRoutes
+    * Gets a sorted list of routes.  If active routes are available, returns
+    * those, unless the parameter is true, in which case the full sorted
+    * route list is returned regardless of the state of the active data.
+    *
+    * Parameters:
+    *    ignoreActive   - *boolean* whether or not to ignore the active data
+    */
+
+   function getRoutes (ignoreActive) {
+      if (!ignoreActive && isActiveDataFresh()) {
+         return agencyData.active.routes;
+      } else {
+         return agencyData.sortedRoutes;
+      }
+   }
+
+   /* Function: getStops
+    * Gets a sorted list of stops.  If active stops are available, returns
+    * those, unless the parameter is true, in which case the full sorted
+    * route list is returned regardless of the state of the active data.
+    *
+    * Parameters:
+    *    ignoreActive   - *boolean* whether or not to ignore the active data
+    */
+
+   function getStops (ignoreActive) {
+      if (!ignoreActive && isActiveDataFresh()) {
+         return agencyData.active.stops;
+      } else {
+         return agencyData.sortedStops;
+      }
+   }
+
+   /* Function: getPredictionCacheStats
+    * Reports how well the prediction cache (see the predictionCacheMs
+    * option) is doing.
+    *
+    * Returns:
+    *    *object* with
+    *
+    *    hits      - *Number* predictions answered from the cache
+    *    misses    - *Number* predictions that needed a request
+    *    coalesced - *Number* predictions that waited on an identical
+    *                request already running
+    *    size      - *Number* responses currently cached
+    */
+
+   function getPredictionCacheStats () {
+      expirePredictions(Date.now());
+      return {
+         hits      : predictionStats.hits,
+         misses    : predictionStats.misses,
+         coalesced : predictionStats.coalesced,
+         size      : Object.keys(predictionCache).length
+      };
+   }
+
+   /* Function: clearPredictionCache
+    * Empties the prediction cache and resets its stats.  Requests already
+    * running are still shared.
+    */
+
+   function clearPredictionCache () {
+      predictionCache = {};
+      predictionStats = {hits: 0, misses: 0, coalesced: 0};
+   }
+
+   /* Function: destroy
+    * Aborts every query still in flight, their callbacks get an error named
+    * 'AbortError', and stops every tracker and watcher (see <trackVehicles>
+    * and <watchStop>).  Queries made afterwards fail the same way, so this is
+    * meant for when the client is no longer needed.
+    */
+
+   function destroy () {
+      destroyed = true;
+      pollers.slice().forEach(function (poller) {
+         poller.stop();
+      });
+      inFlight.slice().forEach(function (signal) {
+         signal.abort(new errors.AbortError("nextbusjs: client destroyed"));
+      });
+   }
+
+   /*
+      Group: Private Functions
+
+      Function: query
+      Runs a query on the nextbus api.
+
+      Parameters:
+         command  - *string* name of the query type to run; can be predictions,
+                    predictionsForMultiStops, routeConfig, vehicleLocations or
+                    agencyList
+         str      - *string* query parameters
+         cb       - *function (err, body, url)* callback function, provided
+                    with the xml received, or the parsed response of the
+                    JSON feed, and the url requested.  Either body can be
+                    read with <read>.
+         opts     - *object* optional, can have a 'timeoutMs' overriding the
+                    client's, and 'handlers' to read the response with
+         opts.handlers - *object* open, close and text handlers, see <read>.
+                    The query reads the response with them, as it streams in
+                    if the transport hands it over in chunks, and cb gets no
+                    body.  A response that fails to parse gives cb a
+                    ParseError.
+
+      The query is retried as set up by the retries option of the client.
+   */
+
+   function query (command, str, cb, opts) {
+      var json = format === 'json' && JSON_COMMANDS.indexOf(command) !== -1,
+          url = (json ? jsonURL : baseURL) + "?command=" + command,
+          limit = opts && opts.timeoutMs !== undefined ? opts.timeoutMs : timeoutMs,
+          handlers = opts && opts.handlers,
+          signal, timer, retryTimer, done = false;
+
+      // agencyList is the only command that isn't scoped to an agency
+      if (command !== 'agencyList') {
+         if (typeof agency !== "string" || !agency) {
+            cb(new errors.InvalidArgumentError("no agency set, give one to the client, " +
+               "cacheAgency or setAgencyCache", {command: command}), null);
+            return;
+         }
+         url += "&a=" + encodeURIComponent(agency);
+      }
+      url += str;
+
+      if (destroyed) {
+         cb(new errors.AbortError("nextbusjs: client destroyed", {url: url, command: command}), null);
+         return;
+      }
+
+      function finish (err, dom) {
+         if (done) {
+            return;
+         }
+         done = true;
+         clearTimeout(timer);
+         clearTimeout(retryTimer);
+         inFlight.splice(inFlight.indexOf(signal), 1);
+
+         if (err) {
+            if (!(err instanceof errors.NextbusError)) {
+               err = new errors.NetworkError(err.message, {cause: err});
+            }
+            err.url = url;
+            err.command = command;
+         }
+         cb(err, dom, url);
+      }
+
+      function retryOrFail (err, retryable, tries) {
+         var delay;
+
+         if (!retryable || tries >= retries) {
+            finish(err, null);
+            return;
+         }
+
+         delay = Math.min(maxRetryDelayMs, retryDelayMs * Math.pow(2, tries));
+         delay -= Math.random() * delay / 2;
+         retryTimer = setTimeout(function () {
+            attempt(tries + 1);
+         }, delay);
+      }
+
+      // a 200 response can still be an error from nextbus
+      function answer (body, tries) {
+         var err;
+
+         if (json) {
+            try {
+               body = jsonfeed.parse(body);
+            } catch (e) {
+               finish(new errors.ParseError(e.message, {cause: e}), null);
+               return;
+            }
+         }
+
+         err = nextbusError(body);
+         if (err) {
+            retryOrFail(err, err.shouldRetry, tries);
+            return;
+         }
+         if (handlers) {
+            try {
+               read(body, handlers);
+            } catch (e) {
+               finish(parseFailure(e, command, url), null);
+               return;
+            }
+            body = null;
+         }
+         finish(null, body);
+      }
+
+      function attempt (tries) {
+         var reader = null, parser = null;
+
+         // an xml response to read with handlers is read as the transport
+         // hands it over
+         function data (chunk) {
+            if (done) {
+               return;
+            }
+            try {
+               if (!parser) {
+                  reader = errorReader(handlers);
+                  parser = sax.parser(reader);
+               }
+               parser.write(chunk);
+            } catch (e) {
+               signal.abort(parseFailure(e, command, url));
+            }
+         }
+
+         function streamed () {
+            var err;
+
+            try {
+               parser.close();
+            } catch (e) {
+               finish(parseFailure(e, command, url), null);
+               return;
+            }
+
+            err = reader.error();
+            if (err) {
+               retryOrFail(err, err.shouldRetry, tries);
+            } else {
+               finish(null, null);
+            }
+         }
+
+         try {
+            transport(url, signal, function (err, response) {
+               if (done) {
+                  return;
+               } else if (err) {
+                  finish(err, null);
+               } else if (response.status != 200) {
+                  err = new errors.HttpError("Bad HTTP response " + response.status,
+                                             {status: response.status});
+                  retryOrFail(err, response.status >= 500, tries);
+               } else if (parser) {
+                  streamed();
+               } else {
+                  answer(response.body || '', tries);
+               }
+            }, handlers && !json ? data : undefined);
+         } catch (e) {
+            finish(e, null);
+         }
+      }
+
+      signal = createSignal();
+      inFlight.push(signal);
+
+      if (limit) {
+         timer = setTimeout(function () {
+            signal.abort(new errors.TimeoutError(
+               "nextbusjs: request timed out after " + limit + "ms"));
+         }, limit);
+      }
+
+      attempt(0);
+
+      // added after the transport's own listener, so it has stopped the
+      // request by the time the callback hears about it
+      signal.addEventListener('abort', function () {
+         finish(signal.reason, null);
+      });
+   }
+
+   /* Function: watch
+    * Polls predictions for <watchStop> and <watchRoute>.  The first poll
+    * runs right after the watcher is returned.
+    *
+    * The time until the next poll is a quarter of the soonest prediction,
+    * kept between minIntervalMs and intervalMs, or maxIntervalMs when there
+    * are no predictions.  After a failed poll it is doubled for each failure
+    * in a row, up to maxIntervalMs.
+    *
+    * Parameters:
+    *    fetch  - *function (callback)* gets the predictions, in 'full' units
+    *    opts   - *object* with
+    *
+    *    opts.intervalMs    - *Number* longest time between polls while
+    *                         anything is predicted, defaults to 30000
+    *    opts.minIntervalMs - *Number* shortest time between polls, defaults
+    *                         to 10000
+    *    opts.maxIntervalMs - *Number* time between polls when nothing is
+    *                         predicted, and longest error backoff, defaults
+    *                         to 120000
+    *    opts.arrivingSecs  - *Number* a vehicle predicted sooner than this is
+    *                         arriving, defaults to 60
+    *    opts.messages      - *boolean* attach messages, as for <stopPredict>
+    *    opts.timeoutMs     - *Number* request timeout for each poll
+    *
+    * Returns:
+    *    *object* watcher, an event emitter (on, once, off) with
+    *
+    *    current() - *array* the last predictions, or null before the first
+    *    stop()    - stops polling, no events are emitted afterwards
+    *
+    * Events:
+    *    update   - *function (data, previous)* the predictions changed, which
+    *               is when a vehicle or its minutes do.  data is as from
+    *               <stopPredict> or <routePredict> with 'full' units, and
+    *               previous is the data of the last update, or null.
+    *    arriving - *function (prediction, item)* a vehicle's prediction went
+    *               under arrivingSecs.  item is the entry of data it is in.
+    *               Emitted once for each vehicle at each stop.
+    *    error    - *function (err)* a poll failed, polling carries on
+    */
+
+   function watch (fetch, opts) {
+      var intervalMs = opts.intervalMs === undefined ? 30000 : opts.intervalMs,
+          minIntervalMs = opts.minIntervalMs === undefined ?
+             Math.min(10000, intervalMs) : opts.minIntervalMs,
+          maxIntervalMs = opts.maxIntervalMs === undefined ?
+             Math.max(120000, intervalMs) : opts.maxIntervalMs,
+          arrivingSecs = opts.arrivingSecs === undefined ? 60 : opts.arrivingSecs,
+          watcher = emitter.create({}),
+          data = null,
+          shown = null,
+          signature = null,
+          arrived = {},
+          failures = 0,
+          delay = intervalMs,
+          emit;
+
+      [['intervalMs', intervalMs], ['minIntervalMs', minIntervalMs],
+       ['maxIntervalMs', maxIntervalMs], ['arrivingSecs', arrivingSecs]]
+         .forEach(function (option) {
+            if (typeof option[1] !== 'number' || !(option[1] > 0)) {
+               throw new errors.InvalidArgumentError(option[0] +
+                  " must be a positive number");
+            }
+         });
+      if (minIntervalMs > intervalMs || intervalMs > maxIntervalMs) {
+         throw new errors.InvalidArgumentError(
+            "intervals must be minIntervalMs <= intervalMs <= maxIntervalMs");
+      }
+
+      function predictionsOf (item) {
+         return item.predictions || [];
+      }
+
+      function itemKey (item) {
+         return [item.tag, item.stopTag, item.direction].join('|');
+      }
+
+      // what counts as a change, the seconds move on every poll
+      function sign (items) {
+         return JSON.stringify(items.map(function (item) {
+            return [itemKey(item), predictionsOf(item).map(function (p) {
+               return [p.vehicle, p.tripTag, p.minutes];
+            })];
+         }));
+      }
+
+      function arrivals (items) {
+         var seen = {};
+
+         items.forEach(function (item) {
+            predictionsOf(item).forEach(function (p) {
+               var key = itemKey(item) + '|' + (p.vehicle || p.tripTag || p.epochTime);
+
+               if (p.seconds < arrivingSecs) {
+                  seen[key] = true;
+                  if (!arrived[key]) {
+                     emit('arriving', p, item);
+                  }
+               }
+            });
+         });
+         arrived = seen;
+      }
+
+      function nextDelay (items) {
+         var soonest = Infinity;
+
+         items.forEach(function (item) {
+            predictionsOf(item).forEach(function (p) {
+               soonest = Math.min(soonest, p.seconds);
+            });
+         });
+
+         if (soonest === Infinity) {
+            return maxIntervalMs;
+         }
+         return Math.max(minIntervalMs, Math.min(intervalMs, soonest * 1000 / 4));
+      }
+
+      function polled (err, items) {
+         var sig;
+
+         if (err) {
+            failures += 1;
+            emit('error', err);
+         } else {
+            failures = 0;
+            sig = sign(items);
+            data = items;
+            if (sig !== signature) {
+               signature = sig;
+               emit('update', items, shown);
+               shown = items;
+            }
+            arrivals(items);
+            delay = nextDelay(items);
+         }
+         return Math.min(maxIntervalMs, delay * Math.pow(2, failures));
+      }
+
+      function current () {
+         return data;
+      }
+
+      emit = startPolling(watcher, fetch, polled);
+      watcher.current = current;
+      return watcher;
+   }
+
+   // units option for the predictions a watcher fetches
+   function watchUnits (opts) {
+      return {units: 'full', messages: opts.messages, timeoutMs: opts.timeoutMs};
+   }
+
+   /* Function: startPolling
+    * The polling shared by <trackVehicles> and <watch>.  It gives the
+    * emitter a stop function, and stops by itself once the client is
+    * destroyed.  The first poll runs right away.
+    *
+    * Parameters:
+    *    self    - *object* event emitter of the tracker or watcher
+    *    poll    - *function (callback)* starts a poll, calling callback
+    *              with its results
+    *    polled  - *function (...)* called with the results of a poll,
+    *              unless stopped meanwhile.  Returns the ms to wait before
+    *              the next poll.
+    *
+    * Returns:
+    *    *function* emitting on self, which does nothing once stopped, even
+    *    from a listener mid poll
+    */
+
+   function startPolling (self, poll, polled) {
+      var stopped = false,
+          timer = null;
+
+      function emit () {
+         if (!stopped) {
+            self.emit.apply(self, arguments);
+         }
+      }
+
+      function run () {
+         timer = null;
+         poll(function () {
+            var delay;
+
+            if (stopped) {
+               return;
+            }
+            delay = polled.apply(null, arguments);
+            if (destroyed) {
+               stop();
+            } else if (!stopped) {
+               timer = setTimeout(run, delay);
+            }
+         });
+      }
+
+      function stop () {
+         var i = pollers.indexOf(self);
+
+         stopped = true;
+         clearTimeout(timer);
+         timer = null;
+         if (i !== -1) {
+            pollers.splice(i, 1);
+         }
+      }
+
+      self.stop = stop;
+      pollers.push(self);
+      timer = setTimeout(run, 0);
+      return emit;
+   }
+
+   /* Function: parseFailure
+    * Wraps anything thrown while reading a response in a ParseError, unless
+    * it's already one of the client's errors.  Either way, an error without
+    * a url gets the query's url and command.
+    *
+    * Parameters:
+    *    e        - *Error* thrown
+    *    command  - *string* command of the query whose response was read
+    *    url      - *string* url of the query, as given to its callback
+    *
+    * Returns:
+    *    *NextbusError*
+    */
+
+   function parseFailure (e, command, url) {
+      if (!(e instanceof errors.NextbusError)) {
+         e = new errors.ParseError(e.message, {cause: e});
+      }
+      if (e.url === undefined) {
+         e.url = url;
+         e.command = e.command || command;
+      }
+      return e;
+   }
+
+   /* Function: stopPairs
+    * Finds the route and stop tag pairs to predict for a stop.
+    *
+    * Parameters:
+    *    stop      - *string* stop tag or title
+    *    direction - *string* direction tag, title or name, or 'null'.  If
+    *                given, only routes with a matching direction serving
+    *                the stop are included.
+    *    routes    - *array* of route tags to restrict the pairs to, can be
+    *                null
+    *
+    * Returns:
+    *    *array* of {route, stop, dirs}, dirs being the matching directions
+    *    when a direction was given, or null if the stop is unknown
+    */
+
+   function stopPairs (stop, direction, routes) {
+      var tags, ret = [];
+
+      if (agencyData.stops[stop] !== undefined) {
+         tags = [stop];
+      } else if (agencyData.stopsByTitle &&
+                 agencyData.stopsByTitle[stop] !== undefined) {
+         tags = agencyData.stopsByTitle[stop].tags;
+      } else {
+         return null;
+      }
+
+      tags.forEach(function (tag) {
+         agencyData.stops[tag].routes.forEach(function (route) {
+            var dirs;
+            if (routes && routes.indexOf(route) === -1) {
+               return;
+            }
+
+            // find the directions of this route that match and actually
+            // serve the stop; if there aren't any, skip the route entirely
+            if (direction !== 'null') {
+               dirs = agencyData.routes[route].directions.filter(function (dir) {
+                  return isDirection(dir, direction) && dir.stops.indexOf(tag) !== -1;
+               });
+               if (dirs.length === 0) {
+                  return;
+               }
+            }
+
+            ret.push({route: route, stop: tag, dirs: dirs});
+         });
+      });
+
+      return ret;
+   }
+
+   /* Function: stopResult
+    * Builds a <stopPredict> result from a predictions element.
+    *
+    * Parameters:
+    *    data     - *object* predictions element, see <readPredictions>
+    *    dirs     - *array* directions to keep predictions for, can be
+    *               undefined to keep all of them
+    *    units    - *string* see <prediction>
+    *
+    * Returns:
+    *    *object* with direction, title, tag, stopTag and predictions
+    */
+
+   function stopResult (data, dirs, units) {
+      var predictions = data.predictions.filter(function (attrs) {
+         // if we were given a direction, skip predictions for the other
+         // directions of this route
+         return !dirs || dirs.some(function (dir) {
+            return dir.tag === attrs.dirTag;
+         });
+      }).map(function (attrs) {
+         return prediction(attrs, units);
+      });
+
+      return {
+         direction   : dirs ? dirs[0].title : data.direction ||
+                       data.attrs.dirTitleBecauseNoPrediction || null,
+         title       : data.attrs.routeTitle,
+         tag         : data.attrs.routeTag,
+         stopTag     : data.attrs.stopTag,
+         predictions : predictions.length ? predictions : null
+      };
+   }
+
+   /* Function: approaching
+    * Works out <vehiclesApproaching>'s results.
+    *
+    * Parameters:
+    *    pairs       - *array* of {route, stop} from <stopPairs>
+    *    vehicles    - *array* of vehicles from <readVehicles>
+    *    predictions - *array* from <readPredictions> for the pairs
+    *    maxStops    - *Number* most stops away to include
+    *
+    * Returns:
+    *    *array* of approaching vehicles, nearest first
+    */
+
+   function approaching (pairs, vehicles, predictions, maxStops) {
+      var ret = [], byVehicle = {};
+
+      predictions.forEach(function (data) {
+         data.predictions.forEach(function (attrs) {
+            var key = data.attrs.routeTag + '|' + data.attrs.stopTag + '|' + attrs.vehicle;
+            byVehicle[key] = byVehicle[key] || prediction(attrs, 'full');
+         });
+      });
+
+      vehicles.forEach(function (vehicle) {
+         vehicle.position = snapToRoute(vehicle.route, vehicle.dirtag,
+                                        vehicle.lat, vehicle.lon);
+      });
+
+      pairs.forEach(function (pair) {
+         vehicles.forEach(function (vehicle) {
+            var position = vehicle.position, dirData, shape, ahead;
+
+            if (vehicle.route !== pair.route || !position) {
+               return;
+            }
+            dirData = findDirection(agencyData.routes[pair.route], position.direction);
+            if (dirData.stops.indexOf(pair.stop) === -1) {
+               return;
+            }
+
+            shape = directionShape(pair.route, dirData);
+            ahead = stopsAhead(shape, position.distance, pair.stop);
+            if (!ahead || ahead.stopsAway > maxStops) {
+               return;
+            }
+
+            ret.push({
+               vehicle    : vehicle,
+               route      : pair.route,
+               direction  : dirData.tag,
+               stop       : pair.stop,
+               stopsAway  : ahead.stopsAway,
+               distance   : ahead.distance,
+               prediction : byVehicle[pair.route + '|' + pair.stop + '|' + vehicle.id] || null
+            });
+         });
+      });
+
+      return ret.sort(function (a, b) {
+         return a.distance - b.distance;
+      });
+   }
+
+   /* Function: stopsAhead
+    * Measures the way along a shape from <directionShape> to a stop.
+    *
+    * Parameters:
+    *    shape    - *object* from <directionShape>
+    *    distance - *Number* meters along the shape the vehicle is at
+    *    stop     - *string* stop tag
+    *
+    * Returns:
+    *    *object* with the 'distance' in meters and the number of stops in
+    *    between as 'stopsAway', or null if the stop is behind and the shape
+    *    isn't a loop, ending at its first stop
+    */
+
+   function stopsAhead (shape, distance, stop) {
+      var stops = shape.stops, first = stops[0], last = stops[stops.length - 1],
+          target, loop;
+
+      function between (from, to) {
+         return stops.filter(function (s) {
+            return s.along > from && s.along < to;
+         }).length;
+      }
+
+      target = stops.filter(function (s) {
+         return s.tag === stop && s.along >= distance;
+      })[0];
+      if (target) {
+         return {distance: target.along - distance, stopsAway: between(distance, target.along)};
+      }
+
+      // a loop ends where it starts, so the way to a stop already passed
+      // goes on around from the start
+      loop = stops.length > 1 && first.tag === last.tag;
+      if (!loop) {
+         return null;
+      }
+
+      target = stops.filter(function (s) {
+         return s.tag === stop;
+      })[0];
+      return {
+         distance  : shape.length - distance + target.along,
+         // the last stop is the first one again, so it's only counted once
+         stopsAway : between(distance, Infinity) + between(-1, target.along) -
+                     (last.along > distance ? 1 : 0)
+      };
+   }
+
+   /* Function: notPositive
+    * Checks numeric options.
+    *
+    * Parameters:
+    *    options     - *object* mapping option names to their values
+    *    orZero      - *boolean* true if 0 is allowed too
+    *
+    * Returns:
+    *    *string* name of the first option that isn't a positive number, or
+    *    null if they all are
+    */
+
+   function notPositive (options, orZero) {
+      var names = Object.keys(options).filter(function (name) {
+         var value = options[name];
+         return typeof value !== "number" || !(value > 0 || (orZero && value === 0));
+      });
+
+      return names.length ? names[0] : null;
+   }
+
+   /* Function: tripEnds
+    * Finds the stops a trip for <planTrip> can start or end at.
+    *
+    * Parameters:
+    *    spec        - *string* stop tag or title, or *object* {lat, lon},
+    *                  whose numbers <planTrip> has checked
+    *    walkMeters  - *Number* furthest a stop can be from {lat, lon}
+    *
+    * Returns:
+    *    *array* of {tag, walk}, walk being the meters to the stop, or null
+    *    if spec isn't a known stop or a place
+    */
+
+   function tripEnds (spec, walkMeters) {
+      var ret = [];
+
+      if (typeof spec === "string") {
+         if (agencyData.stops[spec]) {
+            return [{tag: spec, walk: 0}];
+         } else if (agencyData.stopsByTitle && agencyData.stopsByTitle[spec]) {
+            return agencyData.stopsByTitle[spec].tags.map(function (tag) {
+               return {tag: tag, walk: 0};
+            });
+         }
+         return null;
+      }
+      if (!spec || spec.lat == null || spec.lon == null) {
+         return null;
+      }
+
+      Object.keys(agencyData.stops).forEach(function (tag) {
+         var stop = agencyData.stops[tag],
+             d = geo.distance(Number(spec.lat), Number(spec.lon),
+                              Number(stop.lat), Number(stop.lon));
+         if (d <= walkMeters) {
+            ret.push({tag: tag, walk: d});
+         }
+      });
+      return ret;
+   }
+
+   /* Function: rides
+    * Lists the rides to or from a stop on every direction serving it.  A
+    * loop can be ridden all the way around.
+    *
+    * Parameters:
+    *    tag      - *string* stop tag
+    *    forward  - *boolean* true for rides from the stop, false for rides
+    *               to it
+    *
+    * Returns:
+    *    *array* of {route, dir, from, to, stops}, dir being the direction
+    *    from the agency cache and stops the number of stops ridden
+    */
+
+   function rides (tag, forward) {
+      var ret = [];
+
+      agencyData.stops[tag].routes.forEach(function (route) {
+         agencyData.routes[route].directions.forEach(function (dir) {
+            var shape = directionShape(route, dir),
+                tags = shape ? shape.stops.map(function (stop) { return stop.tag; }) : [],
+                loop = tags.length > 1 && tags[0] === tags[tags.length - 1],
+                n = loop ? tags.length - 1 : tags.length,
+                i = tags.indexOf(tag), k, other;
+
+            if (i === -1) {
+               return;
+            }
+            for (k = 1; k < n; k++) {
+               other = forward ? i + k : i - k;
+               if (loop) {
+                  other = (other + n) % n;
+               } else if (other < 0 || other >= n) {
+                  break;
+               }
+               ret.push({
+                  route : route,
+                  dir   : dir,
+                  from  : forward ? tag : tags[other],
+                  to    : forward ? tags[other] : tag,
+                  stops : k
+               });
+            }
+         });
+      });
+
+      return ret;
+   }
+
+   /* Function: findItineraries
+    * Finds the itineraries <planTrip> times: for each route and direction,
+    * or pair of them with a transfer, the one that is quickest by a rough
+    * estimate.  Only the best of those by the same estimate are kept.
+    *
+    * Returns:
+    *    *array* of untimed itineraries, see <planTrip>, each with its
+    *    estimate as 'rough'
+    */
+
+   function findItineraries (from, to, origins, dests, opts) {
+      var best = {}, startWalk = {}, endWalk = {}, firsts = [], seconds = {}, near = {};
+
+      origins.forEach(function (end) {
+         startWalk[end.tag] = end.walk;
+      });
+      dests.forEach(function (end) {
+         endWalk[end.tag] = end.walk;
+      });
+
+      function consider (key, legs, transferWalk) {
+         var walking = startWalk[legs[0].from] + transferWalk + endWalk[legs[legs.length - 1].to],
+             rough = walking / opts.walkSpeed + (legs.length - 1) * ROUGH_TRANSFER_SECS +
+                     legs.reduce(function (memo, leg) { return memo + leg.stops; }, 0) *
+                     ROUGH_STOP_SECS;
+
+         if (!best[key] || rough < best[key].rough) {
+            best[key] = {legs: legs, walking: walking, transferWalk: transferWalk, rough: rough};
+         }
+      }
+
+      origins.forEach(function (end) {
+         rides(end.tag, true).forEach(function (ride) {
+            if (endWalk.hasOwnProperty(ride.to)) {
+               consider(ride.route + '|' + ride.dir.tag, [ride], 0);
+            }
+            firsts.push(ride);
+         });
+      });
+
+      if (opts.maxTransfers > 0) {
+         dests.forEach(function (end) {
+            rides(end.tag, false).forEach(function (ride) {
+               (seconds[ride.from] = seconds[ride.from] || []).push(ride);
+            });
+         });
+
+         firsts.forEach(function (first) {
+            var x = first.to, stop = agencyData.stops[x];
+
+            if (!near[x]) {
+               near[x] = Object.keys(seconds).map(function (y) {
+                  var other = agencyData.stops[y];
+                  return {
+                     tag: y,
+                     walk: x === y ? 0 : geo.distance(Number(stop.lat), Number(stop.lon),
+                                                      Number(other.lat), Number(other.lon))
+                  };
+               }).filter(function (y) {
+                  return y.walk <= opts.transferMeters;
+               });
+            }
+
+            near[x].forEach(function (y) {
+               seconds[y.tag].forEach(function (second) {
+                  if (second.route !== first.route) {
+                     consider([first.route, first.dir.tag, second.route, second.dir.tag].join('|'),
+                              [first, second], y.walk);
+                  }
+               });
+            });
+         });
+      }
+
+      return Object.keys(best).map(function (key) {
+         return best[key];
+      }).sort(function (a, b) {
+         return a.rough - b.rough;
+      }).slice(0, Math.max(opts.limit * 4, 20)).map(function (found) {
+         return itinerary(from, to, found, opts);
+      });
+   }
+
+   /* Function: itinerary
+    * Lays out an itinerary from <findItineraries>, untimed.
+    */
+
+   function itinerary (from, to, found, opts) {
+      var legs = [], first = found.legs[0], last = found.legs[found.legs.length - 1];
+
+      function place (spec, tag) {
+         return typeof spec === "string" ? stopRef(tag) : {lat: Number(spec.lat), lon: Number(spec.lon)};
+      }
+
+      function walk (a, b, meters) {
+         if (meters > 0 || a.tag !== b.tag) {
+            legs.push({mode: 'walk', from: a, to: b, meters: meters,
+                       minutes: meters / opts.walkSpeed / 60});
+         }
+      }
+
+      if (typeof from !== "string") {
+         walk(place(from), stopRef(first.from), geo.distance(Number(from.lat), Number(from.lon),
+              Number(agencyData.stops[first.from].lat), Number(agencyData.stops[first.from].lon)));
+      }
+      found.legs.forEach(function (ride, i) {
+         if (i > 0) {
+            walk(stopRef(found.legs[i - 1].to), stopRef(ride.from), found.transferWalk);
+         }
+         legs.push({
+            mode           : 'ride',
+            route          : ride.route,
+            routeTitle     : agencyData.routes[ride.route].title,
+            direction      : ride.dir.tag,
+            directionTitle : ride.dir.title,
+            from           : stopRef(ride.from),
+            to             : stopRef(ride.to),
+            stops          : ride.stops,
+            depart         : null,
+            arrive         : null,
+            source         : null,
+            vehicle        : null,
+            block          : null
+         });
+      });
+      if (typeof to !== "string") {
+         walk(stopRef(last.to), place(to), geo.distance(Number(to.lat), Number(to.lon),
+              Number(agencyData.stops[last.to].lat), Number(agencyData.stops[last.to].lon)));
+      }
+
+      return {
+         departure : null,
+         arrival   : null,
+         transfers : found.legs.length - 1,
+         walking   : found.walking,
+         legs      : legs,
+         rough     : found.rough
+      };
+   }
+
+   function stopRef (tag) {
+      return {tag: tag, title: agencyData.stops[tag].title};
+   }
+
+   /* Function: timeItineraries
+    * Times the rides of itineraries, first with live predictions, then with
+    * the schedules of the routes that couldn't be timed that way.  Schedules
+    * that can't be fetched leave their rides untimed.
+    *
+    * Parameters:
+    *    itineraries - *array* from <findItineraries>
+    *    live        - *object* mapping 'route|stop' to full predictions
+    *    after       - *Date* when the trip starts
+    *    opts        - *object* <planTrip> options
+    *    done        - *function ()* called once they're timed
+    */
+
+   function timeItineraries (itineraries, live, after, opts, done) {
+      var missing = [], left;
+
+      function time (itinerary, schedules) {
+         var t = after.getTime(), timed = true, first;
+
+         itinerary.legs.forEach(function (leg) {
+            var board, trip, ride;
+
+            if (!timed) {
+               return;
+            } else if (leg.mode === 'walk') {
+               t += leg.meters / opts.walkSpeed * 1000;
+               return;
+            }
+
+            board = (live[leg.route + '|' + leg.from.tag] || []).filter(function (p) {
+               return !p.dirTag || p.dirTag === leg.direction;
+            });
+            trip = joinTrips(board, live[leg.route + '|' + leg.to.tag] || [], t)[0];
+            if (trip) {
+               leg.depart = trip.depart.arrival;
+               leg.arrive = trip.arrive.arrival;
+               leg.source = 'prediction';
+               leg.vehicle = trip.depart.vehicle;
+               leg.block = trip.depart.block;
+            } else if (schedules[leg.route] &&
+                       (ride = scheduledRide(schedules[leg.route], leg.from.tag, leg.to.tag, t))) {
+               leg.depart = ride.depart;
+               leg.arrive = ride.arrive;
+               leg.source = 'schedule';
+               leg.block = ride.block;
+            } else {
+               timed = false;
+               if (missing.indexOf(leg.route) === -1) {
+                  missing.push(leg.route);
+               }
+               return;
+            }
+            t = leg.arrive.getTime();
+         });
+
+         if (timed) {
+            first = itinerary.legs[0];
+            itinerary.arrival = new Date(t);
+            itinerary.departure = first.mode === 'walk' ?
+               new Date(itinerary.legs[1].depart.getTime() -
+                        first.meters / opts.walkSpeed * 1000) :
+               first.depart;
+         }
+      }
+
+      itineraries.forEach(function (itinerary) {
+         time(itinerary, agencyData.schedules || {});
+      });
+
+      missing = missing.filter(function (route) {
+         return !(agencyData.schedules && agencyData.schedules[route]);
+      });
+      left = missing.length;
+      if (left === 0) {
+         done();
+         return;
+      }
+
+      missing.forEach(function (route) {
+         getSchedule(route, function () {
+            if (--left === 0) {
+               itineraries.forEach(function (itinerary) {
+                  time(itinerary, agencyData.schedules || {});
+               });
+               done();
+            }
+         }, opts);
+      });
+   }
+
+   /* Function: joinTrips
+    * Finds vehicles' trips between two stops in their predictions: each one
+    * leaving the first stop after a time which is predicted at the second
+    * stop after that.  Predictions are matched by trip tag, or by vehicle
+    * when there isn't one.
+    *
+    * Parameters:
+    *    board    - *array* of full predictions at the first stop
+    *    alight   - *array* of full predictions at the second stop
+    *    after    - *Number* earliest departure, in ms since the epoch
+    *
+    * Returns:
+    *    *array* of trips, soonest first, with the 'depart' and 'arrive'
+    *    predictions
+    */
+
+   function joinTrips (board, alight, after) {
+      var byTime = function (a, b) { return a.epochTime - b.epochTime; };
+
+      return board.filter(function (depart) {
+         return depart.epochTime >= after;
+      }).sort(byTime).map(function (depart) {
+         var arrive = alight.filter(function (p) {
+            return p.epochTime > depart.epochTime && (depart.tripTag && p.tripTag ?
+               p.tripTag === depart.tripTag : !!depart.vehicle && p.vehicle === depart.vehicle);
+         }).sort(byTime)[0];
+
+         return arrive && {depart: depart, arrive: arrive};
+      }).filter(Boolean);
+   }
+
+   /* Function: scheduledRide
+    * Finds the first scheduled trip between two stops leaving after a time.
+    * Only timetables listing both stops, in that order, can be used.
+    *
+    * Parameters:
+    *    schedule - *object* from <getSchedule>
+    *    from, to - *string* stop tags
+    *    after    - *Number* earliest departure, in ms since the epoch
+    *
+    * Returns:
+    *    *object* with 'depart' and 'arrive' Dates and the trip's 'block', or
+    *    null
+    */
+
+   function scheduledRide (schedule, from, to, after) {
+      var best = null, start = new Date(after), day, midnight, days;
+
+      // late trips run past midnight, so start with the day before
+      for (day = -1; day <= 1; day++) {
+         midnight = new Date(start.getFullYear(), start.getMonth(), start.getDate() + day);
+
+         schedule.timetables.forEach(function (timetable) {
+            var tags = timetable.stops.map(function (column) { return column.tag; }),
+                i = tags.indexOf(from),
+                j = tags.indexOf(to, i + 1);
+
+            days = SERVICE_DAYS[String(timetable.serviceClass).toLowerCase()];
+            if (i === -1 || j === -1 || !days || days.indexOf(midnight.getDay()) === -1) {
+               return;
+            }
+
+            timetable.trips.forEach(function (trip) {
+               var depart;
+
+               if (trip.times[i] === null || trip.times[j] === null ||
+                   trip.times[j] < trip.times[i]) {
+                  return;
+               }
+               depart = scheduleTime(midnight, trip.times[i]);
+               if (depart >= after && (!best || depart < best.depart)) {
+                  best = {
+                     depart : depart,
+                     arrive : scheduleTime(midnight, trip.times[j]),
+                     block  : trip.block
+                  };
+               }
+            });
+         });
+      }
+
+      return best;
+   }
+
+   /* Function: scheduleTime
+    * Gives the time of a schedule entry on a day.  Schedule times are wall
+    * clock times, so they're set as hours and minutes of the day rather than
+    * added to its midnight, which would be an hour off on days the clocks
+    * change.
+    *
+    * Parameters:
+    *    day      - *Date* midnight of the day
+    *    ms       - *Number* time from the schedule, in ms after midnight.
+    *               Can be over 24 hours, for trips running past midnight.
+    *
+    * Returns:
+    *    *Date* the time
+    */
+
+   function scheduleTime (day, ms) {
+      return new Date(day.getFullYear(), day.getMonth(), day.getDate(),
+                      Math.floor(ms / 3600000), Math.floor(ms / 60000) % 60,
+                      Math.floor(ms / 1000) % 60);
+   }
+
+   /* Function: chunkStops
+    * Splits route|stop pairs into predictionsForMultiStops query strings
+    * that keep within the maxStopsPerRequest and maxUrlLength options.
+    *
+    * Parameters:
+    *    keys     - *array* of 'route|stop' strings
+    *
+    * Returns:
+    *    *array* of query strings
+    */
+
+   function chunkStops (keys) {
+      var ret = [], str = '', count = 0,
+          prefix = Math.max(baseURL.length, jsonURL.length) +
+                   "?command=predictionsForMultiStops&a=".length +
+                   encodeURIComponent(agency).length;
+
+      keys.forEach(function (key) {
+         var param = "&stops=" + key.replace('|', '|null|');
+
+         if (count > 0 && (count === maxStopsPerRequest ||
+                           prefix + str.length + param.length > maxUrlLength)) {
+            ret.push(str);
+            str = '';
+            count = 0;
+         }
+         str += param;
+         count++;
+      });
+
+      if (count > 0) {
+         ret.push(str);
+      }
+      return ret;
+   }
+
+   /* Function: predictionQuery
+    * Runs a predictionsForMultiStops query, going through the prediction
+    * cache if it's enabled.  Responses are cached by agency, query string
+    * and per-call timeout, and a query identical to one already running
+    * waits for that one's response instead of making its own request.
+    * Failed queries aren't cached.  cb is always called asynchronously, and
+    * each waiting query gets its own copy of an error.
+    *
+    * Parameters:
+    *    str      - *string* query parameters
+    *    cb       - *function (err, body, url)* callback function, see <query>
+    *    opts     - *object* optional, see <query>
+    */
+
+   function predictionQuery (str, cb, opts) {
+      var timeout = opts ? opts.timeoutMs : undefined,
+          key = agency + str + (timeout === undefined ? '' : '|' + timeout),
+          now = Date.now(), entry;
+
+      if (!predictionCacheMs) {
+         query("predictionsForMultiStops", str, cb, opts);
+         return;
+      }
+
+      entry = predictionCache[key];
+      if (entry && now - entry.time < predictionCacheMs) {
+         predictionStats.hits++;
+         // like a request, answered later
+         setTimeout(function () {
+            cb(null, entry.body, entry.url);
+         }, 0);
+         return;
+      }
+
+      if (pendingPredictions[key]) {
+         predictionStats.coalesced++;
+         pendingPredictions[key].push(cb);
+         return;
+      }
+
+      predictionStats.misses++;
+      pendingPredictions[key] = [cb];
+      query("predictionsForMultiStops", str, function (err, body, url) {
+         var callbacks = pendingPredictions[key], thrown = null;
+
+         delete pendingPredictions[key];
+         if (!err) {
+            // re-adding the key moves it to the end, keeping the entries
+            // oldest first
+            delete predictionCache[key];
+            predictionCache[key] = {time: Date.now(), body: body, url: url};
+            expirePredictions(Date.now());
+         }
+
+         // a callback throwing doesn't keep the others from being called
+         callbacks.forEach(function (callback, i) {
+            try {
+               callback(err && i > 0 ? new err.constructor(err.message, err) : err,
+                        body, url);
+            } catch (e) {
+               thrown = thrown || e;
+            }
+         });
+         if (thrown) {
+            throw thrown;
+         }
+      }, opts);
+   }
+
+   /* Function: expirePredictions
+    * Drops expired responses from the prediction cache, and the oldest ones
+    * if it holds more than predictionCacheSize.
+    *
+    * Parameters:
+    *    now      - *Number* current time in milliseconds
+    */
+
+   function expirePredictions (now) {
+      var keys = Object.keys(predictionCache),
+          over = keys.length - predictionCacheSize;
+
+      keys.forEach(function (key, i) {
+         if (i < over || now - predictionCache[key].time >= predictionCacheMs) {
+            delete predictionCache[key];
+         }
+      });
+   }
+
+   /* Function: nextbusError
+    * Nextbus reports problems such as an invalid agency or too many requests
+    * with http status 200 and an Error element instead of the data.
+    *
+    * Parameters:
+    *    body     - *string* xml response, or *object* parsed JSON response
+    *
+    * Returns:
+    *    *NextbusApiError* with the text nextbus gave as its message, or null
+    *    if the response isn't an error
+    */
+
+   function nextbusError (body) {
+      var match, text, shouldRetry;
+
+      if (typeof body === 'string') {
+         match = /<Error\b([^>]*)>([\s\S]*?)<\/Error>/.exec(body);
+         if (!match) {
+            return null;
+         }
+         text = sax.decode(match[2]);
+         shouldRetry = /shouldRetry\s*=\s*["']true["']/.test(match[1]);
+      } else {
+         match = jsonfeed.error(body);
+         if (!match) {
+            return null;
+         }
+         text = match.text;
+         shouldRetry = match.shouldRetry;
+      }
+
+      return new errors.NextbusApiError("nextbusjs: " + text.trim(), {
+         shouldRetry: shouldRetry
+      });
+   }
+
+   /* Function: errorReader
+    * Wraps handlers for reading an xml response in parts, so they also pick
+    * up the Error element <nextbusError> finds in a whole one.
+    *
+    * Parameters:
+    *    handlers - *object* open, close and text handlers, see sax.js
+    *
+    * Returns:
+    *    *object* the wrapped handlers, and error() giving the
+    *    *NextbusApiError* read, or null if there was none
+    */
+
+   function errorReader (handlers) {
+      var text = null, shouldRetry = false, inError = false;
+
+      return {
+         open: function (name, attrs) {
+            if (name === 'Error') {
+               text = '';
+               shouldRetry = attrs.shouldRetry === 'true';
+               inError = true;
+            }
+            if (handlers.open) {
+               handlers.open(name, attrs);
+            }
+         },
+         close: function (name) {
+            if (name === 'Error') {
+               inError = false;
+            }
+            if (handlers.close) {
+               handlers.close(name);
+            }
+         },
+         text: function (str) {
+            if (inError) {
+               text += str;
+            }
+            if (handlers.text) {
+               handlers.text(str);
+            }
+         },
+         error: function () {
+            if (text === null) {
+               return null;
+            }
+            return new errors.NextbusApiError("nextbusjs: " + text.trim(), {
+               shouldRetry: shouldRetry
+            });
+         }
+      };
+   }
+
+   /* Function: read
+    * Reads a response given by <query>, calling handlers for its elements.
+    *
+    * Parameters:
+    *    body     - *string* xml response, or *object* parsed JSON response
+    *    handlers - *object* open, close and text handlers, see sax.js
+    */
+
+   function read (body, handlers) {
+      if (typeof body === 'string') {
+         sax.parse(body, handlers);
+      } else {
+         jsonfeed.walk(body, handlers);
+      }
+   }
+
+   /* Function: attachMessages
+    * Retrieves the messages for some routes and gives each prediction result
+    * a messages array containing the ones that apply to it.
+    *
+    * Parameters:
+    *    items    - *array* of prediction results
+    *    routes   - *array* of route tags to retrieve messages for
+    *    keys     - *function (item)* returns {route, stop} tags of an item
+    *    cb       - *function (err, items)* callback function
+    *    opts     - *object* optional, see <query>
+    */
+
+   function attachMessages (items, routes, keys, cb, opts) {
+      getMessages(routes.filter(function (route, i) {
+         return routes.indexOf(route) === i;
+      }), function (err, messages) {
+         if (err) {
+            cb(err, null);
+            return;
          }
 
-         // lastly, we build the final return data
-         for (stop in activeStops) {
-            if (activeStops.hasOwnProperty(stop)) {
-               active.stops.push({
-                  title:      stop,
-                  geoHash:    agencyData.stopsByTitle[stop].geoHash
+         items.forEach(function (item) {
+            var key = keys(item);
+            item.messages = messages.filter(function (message) {
+               return message.agencyWide || message.routes.some(function (r) {
+                  return r.tag === key.route &&
+                     (r.stops.length === 0 || r.stops.indexOf(key.stop) !== -1);
                });
+            });
+         });
+
+         cb(null, items);
+      }, opts);
+   }
+
+   /* Function: prediction
+    * Reads a prediction in the requested units.
+    *
+    * Parameters:
+    *    attrs    - *object* attributes of a prediction element
+    *    units    - *string* 'minutes', 'seconds', 'both' or 'full'
+    *
+    * Returns:
+    *    *string* minutes or seconds, or for 'both', an object with minutes
+    *    and seconds strings.  For 'full', an object with:
+    *
+    *    minutes           - *Number* minutes until arrival
+    *    seconds           - *Number* seconds until arrival
+    *    epochTime         - *Number* arrival time in milliseconds
+    *    arrival           - *Date* arrival time
+    *    vehicle           - *string* vehicle id, or null
+    *    block             - *string* block id, or null
+    *    tripTag           - *string* trip tag, or null
+    *    dirTag            - *string* direction tag, or null
+    *    isDeparture       - *boolean* whether this predicts a departure from
+    *                        the stop (ie. at the start of a trip) rather than
+    *                        an arrival
+    *    affectedByLayover - *boolean* whether the vehicle is on a layover at
+    *                        its terminal, making the prediction less certain
+    *    delayed           - *boolean* whether the vehicle is delayed
+    */
+
+   function prediction (attrs, units) {
+      var epochTime;
+
+      if (units === 'both') {
+         return {
+            minutes: attrs.minutes,
+            seconds: attrs.seconds
+         };
+      } else if (units !== 'full') {
+         return attrs[units];
+      }
+
+      epochTime = Number(attrs.epochTime);
+      return {
+         minutes           : Number(attrs.minutes),
+         seconds           : Number(attrs.seconds),
+         epochTime         : epochTime,
+         arrival           : new Date(epochTime),
+         vehicle           : attrs.vehicle || null,
+         block             : attrs.block || null,
+         tripTag           : attrs.tripTag || null,
+         dirTag            : attrs.dirTag || null,
+         isDeparture       : attrs.isDeparture === 'true',
+         affectedByLayover : attrs.affectedByLayover === 'true',
+         delayed           : attrs.delayed === 'true'
+      };
+   }
+
+   /* Function: readPredictions
+    * Reads a predictionsForMultiStops response.
+    *
+    * Parameters:
+    *    body     - *string* xml response
+    *
+    * Returns:
+    *    *array* with an object for each predictions element:
+    *
+    *    attrs       - *object* attributes of the element
+    *    direction   - *string* title of its first direction, or null
+    *    predictions - *array* of the attributes of its prediction elements,
+    *                  across all of its directions
+    *
+    * Throws:
+    *    ParseError if there are no predictions elements
+    */
+
+   function readPredictions (body) {
+      var ret = [], current = null;
+
+      read(body, {
+         open: function (name, attrs) {
+            if (name === 'predictions') {
+               current = {attrs: attrs, direction: null, predictions: []};
+               ret.push(current);
+            } else if (!current) {
+               return;
+            } else if (name === 'direction' && current.direction === null) {
+               current.direction = attrs.title;
+            } else if (name === 'prediction') {
+               current.predictions.push(attrs);
+            }
+         },
+         close: function (name) {
+            if (name === 'predictions') {
+               current = null;
             }
          }
+      });
 
-         // sort the active routes & stops
-         active.routes.sort(function (a, b) { 
-            return a.title.localeCompare(b.title); 
-         });
-         active.stops.sort(function (a, b) { 
-            return a.title.localeCompare(b.title); 
+      if (ret.length === 0) {
+         throw new errors.ParseError('response is invalid, data.length = 0', {
+            command : 'predictionsForMultiStops',
+            detail  : 'zero length data',
+            data    : body
          });
+      }
+      return ret;
+   }
 
-         agencyData.active = active;
+   /* Function: readVehicles
+    * Reads a vehicleLocations response.
+    *
+    * Parameters:
+    *    body     - *string* xml response
+    *
+    * Returns:
+    *    *object* with the response's 'lastTime' and a 'vehicles' array of
+    *    objects with id, route, dirtag, lat, lon, predictable, heading, since
+    *    and speed, see <vehicleLocations>
+    *
+    * Throws:
+    *    ParseError if the response has no lastTime
+    */
 
-         callback(null, active);
+   function readVehicles (body) {
+      var vehicles = [], lastTime = null;
+
+      read(body, {
+         open: function (name, attrs) {
+            if (name === 'lastTime') {
+               lastTime = attrs.time;
+            } else if (name === 'vehicle') {
+               vehicles.push({
+                  id:      attrs.id,
+                  route:   attrs.routeTag,
+                  dirtag:  attrs.dirTag,
+                  lat:     attrs.lat,
+                  lon:     attrs.lon,
+                  predictable: attrs.predictable === 'true',
+                  heading: attrs.heading,
+                  since:   attrs.secsSinceReport,
+                  speed:   attrs.speedKmHr
+               });
+            }
+         }
       });
+
+      if (lastTime === null) {
+         throw new errors.ParseError('response has no lastTime', {
+            detail : 'missing lastTime'
+         });
+      }
+      return {lastTime: lastTime, vehicles: vehicles};
    }
 
-   /* Function: setActive
-    * Sets the active info, if retrieved from another nextbusjs client
+   /* Function: predictOptions
+    * Normalizes the units argument of <routePredict> and <stopPredict>,
+    * which can be a string or an options object.
     *
-    * Parameters:
-    *    active      - *object* active stops and routes
+    * Returns:
+    *    *object* options, with units defaulted to minutes
     */
 
-   function setActive (active) {
-      agencyData.active = active;
+   function predictOptions (units) {
+      var opts = {}, key;
+
+      if (isUnits(units) && typeof units === "object") {
+         for (key in units) {
+            if (units.hasOwnProperty(key)) {
+               opts[key] = units[key];
+            }
+         }
+      } else {
+         opts.units = units;
+      }
+
+      opts.units = opts.units || 'minutes';
+      return opts;
    }
 
-   /* Function: vehicleLocations
-    * Runs a vehicleLocations query against nextbus.  Can optionally filter to
-    * a particular route.  By default, this command will return only the
-    * vehicles which are in a different location since the last call to the
-    * function (ie, lastTime is handled).  This can be overridden by passing
-    * true as the final argument.
+   function isUnits (units) {
+      return typeof units === "string" || (units !== null && typeof units === "object");
+   }
+
+   /* Function: promise
+    * Wraps a function taking a node style callback in a Promise.
     *
     * Parameters:
-    *    route       - *string* routeTag to use in the query.  Will only return
-    *                  vehicles in this route.  If null is passed, will return
-    *                  all vehicles.
-    *    callback    - *function (err, data)* to be called with the return data
-    *    resetTime   - *boolean* if truthy, will ignore lastTime and run the
-    *                  query without the 't' parameter.  This will return buses
-    *                  which have moved in the last 15 minutes.  If falsy, will
-    *                  use the last time the function was called for lastTime.
+    *    fn       - *function (callback)* function to run
     *
-    * Callback return:
-    *    err         - *error* object, if one occurred.
-    *    data        - *object* mapping routes to arrays
-    *    data[route] - *array* of vehicles for this route
-    *    data[route][i][id] - *string* vehicle id number
-    *    data[route][i][direction] - *string* direction tag
-    *    data[route][i][lat] - *string* latitude, float as string
-    *    data[route][i][lon] - *string* longitude, float as string
-    *    data[route][i][since] - *string* seconds since the query was run
-    *    data[route][i][predictable] - *boolean* whether the vehicle is
-    *                                  predictable. not sure what this means,
-    *                                  but it's returned by the api, so its
-    *                                  here for consistency
-    *    data[route][i][heading] - *string* heading
-    *    data[route][i][speed]   - *string* speed in km/h
+    * Returns:
+    *    *Promise* settled with the results given to the callback
     */
 
-   function vehicleLocations (lower_bound, upper_bound, route, callback, resetTime) {
-      var str = '';
-      if (route) {
-         str += '&r=' + route;
+   function promise (fn) {
+      if (!PromiseImpl) {
+         throw new errors.InvalidArgumentError("no callback given and no Promise implementation available");
       }
 
-      if (!resetTime && vehicleLastTime) {
-         str += "&t=" + vehicleLastTime;
-      }
-      query('vehicleLocations', str, function (err, response) {
-  var vehicles, vehicle, lastTime, i, result = {}, route, data, current_lat;
-         try {
+      return new PromiseImpl(function (resolve, reject) {
+         fn(function (err, data) {
             if (err) {
-               throw err;
-            }
-
-            if (isTi) {
-               vehicles = response.getElementsByTagName("vehicle");
-               lastTime = response.getElementsByTagName(fixStr('lastTime'));
+               reject(err);
             } else {
-               vehicles = response.document.getElementsByTagName("vehicle");
-               lastTime = response.document.getElementsByTagName(fixStr('lastTime'));
-            }
-
-            vehicleLastTime = lastTime.item(0).getAttribute('time');
-
-            for (i = 0; i < vehicles.length; i++) {
-               vehicle = vehicles.item(i);
-               route = vehicle.getAttribute(fixStr('routeTag'));
-               result[route] = result[route] || [];
-    current_lat = null;
-    current_lat = vehicle.getAttribute('lat');
-    if (current_lat >= lower_bound){
-      if (current_lat <= upper_bound){
-        result[route].push({
-          id:      vehicle.getAttribute('id'),
-                        dirtag:  vehicle.getAttribute(fixStr('dirtag')),
-                        lat:     current_lat,
-                        lon:     vehicle.getAttribute('lon'),
-                        predictable: vehicle.getAttribute('predictable') === 'true',
-                        heading: vehicle.getAttribute('heading'),
-                        since:   vehicle.getAttribute(fixStr('secsSinceReport')),
-                        speed:   vehicle.getAttribute(fixStr('speedKmHr'))
-                    });
-      }
-    }
-            }
-      for (route in result){
-    if (result.hasOwnProperty(route)){
-      if (Object.keys(result[route]).length === 0){
-        delete result[route];
-      }
-    }
-      }
-
-            callback(null, result);
-         } catch (e) {
-            callback(e, null);
-         }
+               resolve(data);
+            }
+         });
       });
    }
 
-   /* Function: setActiveExpireTime
-    * Sets the amount of time it takes for the active information to expire.
-    * Default 10 minutes.
+   /* Function: knownRoute
+    * Tells whether vehicles of a route should be given.  Once the agency is
+    * cached, vehicles of routes left out of it, by the geofence or
+    * otherwise, are left out too.
     *
     * Parameters:
-    *    time     - *number* time in seconds
+    *    route    - *string* route tag of a vehicle
+    *
+    * Returns:
+    *    *boolean* false if the route isn't in the agency cache
     */
 
-   function setActiveExpireTime (time) {
-      activeExpireTime = time * 1000;
+   function knownRoute (route) {
+      return !isAgencyCached || agencyData.routes[route] !== undefined;
    }
 
-   setActiveExpireTime(600);
+   /* Function: fenceFor
+    * Picks the geofence for a call.  Latitude bounds passed to the call take
+    * precedence over the geofence option, which takes precedence over the
+    * bounds option.
+    *
+    * Returns:
+    *    *object* with inside, a function (lat, lon), and the policy for
+    *    routes partly outside; or null if there is no geofence
+    */
 
-   /* Function: getRoutes
-    * Gets a sorted list of routes.  If active routes are available, returns
-    * those, unless the parameter is true, in which case the full sorted
-    * route list is returned regardless of the state of the active data.
+   function fenceFor (lower_bound, upper_bound) {
+      if (lower_bound == null && upper_bound == null) {
+         if (geofence) {
+            return {inside: geofence, policy: options.geofencePolicy || 'clip'};
+         }
+         lower_bound = bounds.lower;
+         upper_bound = bounds.upper;
+      }
+
+      if (lower_bound == null && upper_bound == null) {
+         return null;
+      }
+
+      return {
+         inside: geo.fence({latMin: lower_bound, latMax: upper_bound}),
+         policy: options.geofencePolicy || 'drop'
+      };
+   }
+
+   /* Function: applyGeofence
+    * Removes the routes and stops outside a geofence from a new agency
+    * cache, see <cacheAgency>.
     *
     * Parameters:
-    *    ignoreActive   - *boolean* whether or not to ignore the active data
+    *    out      - *object* agency cache being built
+    *    fence    - *object* from <fenceFor>
     */
 
-   function getRoutes (ignoreActive) {
-      if (!ignoreActive && isActiveDataFresh()) {
-         return agencyData.active.routes;
-      } else {
-         return agencyData.sortedRoutes;
+   function applyGeofence (out, fence) {
+      var route, stop, routeData, outside;
+
+      for (route in out.routes) {
+         if (out.routes.hasOwnProperty(route)) {
+            routeData = out.routes[route];
+            outside = routeData.stops.filter(function (tag) {
+               return !fence.inside(out.stops[tag].lat, out.stops[tag].lon);
+            });
+
+            if (outside.length === 0 || fence.policy === 'keep' &&
+                outside.length < routeData.stops.length) {
+               continue;
+            }
+
+            if (fence.policy === 'drop' || outside.length === routeData.stops.length) {
+               delete out.routes[route];
+               continue;
+            }
+
+            // clip the route to the stops and path inside the fence
+            routeData.stops = routeData.stops.filter(function (tag) {
+               return outside.indexOf(tag) === -1;
+            });
+            routeData.directions.forEach(function (dir) {
+               dir.stops = dir.stops.filter(function (tag) {
+                  return outside.indexOf(tag) === -1;
+               });
+            });
+            routeData.paths = geo.clipPolylines(routeData.paths, fence.inside);
+         }
+      }
+
+      // stops only keep the routes still serving them
+      for (stop in out.stops) {
+         if (out.stops.hasOwnProperty(stop)) {
+            out.stops[stop].routes = out.stops[stop].routes.filter(function (route) {
+               return out.routes[route] &&
+                  out.routes[route].stops.indexOf(stop) !== -1;
+            });
+            if (out.stops[stop].routes.length === 0) {
+               delete out.stops[stop];
+            }
+         }
       }
    }
 
-   /* Function: getStops
-    * Gets a sorted list of stops.  If active stops are available, returns
-    * those, unless the parameter is true, in which case the full sorted
-    * route list is returned regardless of the state of the active data.
+   /* Function: stopDistances
+    * Measures the distance from a point to every stop (or every active stop,
+    * if that data is fresh).
     *
-    * Parameters:
-    *    ignoreActive   - *boolean* whether or not to ignore the active data
+    * Returns:
+    *    *array* of stops sorted by distance, see <closestStops>
     */
 
-   function getStops (ignoreActive) {
-      if (!ignoreActive && isActiveDataFresh()) {
-         return agencyData.active.stops;
+   function stopDistances (lat, lon) {
+      var stops;
+
+      if (isActiveDataFresh()) {
+         stops = agencyData.active.stops;
       } else {
-         return agencyData.sortedStops;
+         stops = agencyData.sortedStops || [];
       }
+
+      lat = Number(lat);
+      lon = Number(lon);
+
+      return stops.map(function (item) {
+         var closest = null;
+
+         agencyData.stopsByTitle[item.title].tags.forEach(function (tag) {
+            var stop = agencyData.stops[tag],
+                d = geo.distance(lat, lon, Number(stop.lat), Number(stop.lon));
+
+            if (closest === null || d < closest.distance) {
+               closest = {
+                  title    : item.title,
+                  tag      : tag,
+                  lat      : Number(stop.lat),
+                  lon      : Number(stop.lon),
+                  distance : d
+               };
+            }
+         });
+
+         closest.bearing = geo.bearing(lat, lon, closest.lat, closest.lon);
+         return closest;
+      }).sort(function (a, b) {
+         return a.distance - b.distance;
+      });
    }
 
-   /*
-      Group: Private Functions
+   /* Function: directionShape
+    * Draws a direction for <snapToRoute>.  Between each pair of stops, the
+    * path used is the part of a route path which passes within
+    * SHAPE_STOP_METERS of both, in order.  The shape of a loop ends back at
+    * its first stop.  Shapes are kept until the agency cache changes.
+    *
+    * Parameters:
+    *    route    - *string* route tag
+    *    dirData  - *object* direction from the agency cache
+    *
+    * Returns:
+    *    *object* with the 'points' of the shape, the distance along it to
+    *    each point ('along'), its 'length', and its 'stops' as {tag, title,
+    *    along}.  null if the direction has no cached stops.
+    */
 
-      Function: query
-      Runs a query on the nextbus api.
+   function directionShape (route, dirData) {
+      var key = route + '|' + dirData.tag, paths, points = [], stops;
 
-      Parameters:
-         command  - *string* name of the query type to run; can be predictions,
-                    predictionsForMultiStops, or routeConfig
-         str      - *string* query parameters
-         cb       - *function (err, dom)* callback function, provided with xml
-                    dom tree received
-   */
+      if (shapesFor !== agencyData) {
+         shapes = {};
+         shapesFor = agencyData;
+      }
+      if (shapes.hasOwnProperty(key)) {
+         return shapes[key];
+      }
 
-   function query (command, str, cb) {
-      var url = baseURL + command + "&a=" + "rutgers" + str;
+      paths = agencyData.routes[route].paths;
+      stops = dirData.stops.filter(function (tag) {
+         return !!agencyData.stops[tag];
+      }).map(function (tag) {
+         var stop = agencyData.stops[tag];
+         return {tag: tag, title: stop.title, lat: Number(stop.lat), lon: Number(stop.lon)};
+      });
 
-      request(url, function (err, response, data) {
-         if (err) {
-            console.log("error in query request: " + err);
-            cb(err, null);
-         } else if (response.statusCode != 200) {
-            cb(new Error("Bad HTTP response " + response.statusCode), null);
-         } else {
-            xmlparse(data, function (err, dom) {
-               if (err) {
-                  console.log("error in xmlparse callback: " + err);
-                  cb(err, null);
-               } else {
-                  cb(null, dom);
+      // a route with one direction runs in a loop, back to its first stop
+      if (agencyData.routes[route].directions.length === 1 && stops.length > 1 &&
+          stops[0].tag !== stops[stops.length - 1].tag) {
+         stops.push({tag: stops[0].tag, title: stops[0].title,
+                     lat: stops[0].lat, lon: stops[0].lon});
+      }
+
+      stops.forEach(function (stop, i) {
+         var prev = stops[i - 1], best = null;
+
+         if (prev) {
+            paths.forEach(function (path) {
+               var from, to;
+
+               if (path.length < 2) {
+                  return;
+               }
+               from = geo.nearestPoint(path, prev.lat, prev.lon);
+               to = geo.nearestPoint(path, stop.lat, stop.lon);
+               if (from.distance <= SHAPE_STOP_METERS && to.distance <= SHAPE_STOP_METERS &&
+                   from.index + from.fraction < to.index + to.fraction &&
+                   (!best || from.distance + to.distance < best.score)) {
+                  best = {
+                     score  : from.distance + to.distance,
+                     points : path.slice(from.index + 1, to.index + 1)
+                  };
                }
             });
+            if (best) {
+               points = points.concat(best.points);
+            }
+         }
+         stop.index = points.length;
+         points.push({lat: stop.lat, lon: stop.lon});
+      });
+
+      if (points.length === 0) {
+         shapes[key] = null;
+         return null;
+      }
+
+      shapes[key] = {points: points, along: geo.lengths(points)};
+      shapes[key].length = shapes[key].along[points.length - 1];
+      shapes[key].stops = stops.map(function (stop) {
+         return {tag: stop.tag, title: stop.title, along: shapes[key].along[stop.index]};
+      });
+      return shapes[key];
+   }
+
+   /* Function: placeOnShape
+    * Snaps a point to a shape from <directionShape>.
+    *
+    * Returns:
+    *    *object* as <snapToRoute> gives, without route and direction
+    */
+
+   function placeOnShape (shape, lat, lon) {
+      var near = geo.nearestPoint(shape.points, lat, lon),
+          distance, previous = null, next = null;
+
+      distance = shape.along[near.index];
+      if (near.index + 1 < shape.points.length) {
+         distance += near.fraction * (shape.along[near.index + 1] - distance);
+      }
+
+      shape.stops.forEach(function (stop) {
+         if (stop.along <= distance) {
+            previous = stop;
+         } else if (!next) {
+            next = stop;
          }
       });
+
+      function stopAt (stop) {
+         return stop && {
+            tag      : stop.tag,
+            title    : stop.title,
+            distance : Math.abs(stop.along - distance)
+         };
+      }
+
+      return {
+         lat          : near.lat,
+         lon          : near.lon,
+         offRoute     : near.distance,
+         distance     : distance,
+         progress     : shape.length ? 100 * distance / shape.length : 0,
+         previousStop : stopAt(previous),
+         nextStop     : stopAt(next)
+      };
+   }
+
+   /* Function: findDirection
+    * Finds a direction of a route.
+    *
+    * Parameters:
+    *    routeData   - *object* route from the agency cache
+    *    direction   - *string* direction tag, title or name
+    *
+    * Returns:
+    *    *object* the first matching direction, or undefined if there's no
+    *    such direction
+    */
+
+   function findDirection (routeData, direction) {
+      var i;
+
+      for (i = 0; i < routeData.directions.length; i++) {
+         if (isDirection(routeData.directions[i], direction)) {
+            return routeData.directions[i];
+         }
+      }
+   }
+
+   /* Function: isDirection
+    * Checks whether a direction matches a direction tag, title, or name.
+    * Names (like 'Inbound' and 'Outbound') are compared case insensitively,
+    * and can be shared by several directions of a route.
+    */
+
+   function isDirection (dir, direction) {
+      return dir.tag === direction || dir.title === direction ||
+         (!!dir.name && dir.name.toLowerCase() === String(direction).toLowerCase());
    }
 
    /* Function: isActiveDataFresh
@@ -1107,41 +4901,55 @@ function client () {
       agencyData.stopsByTitle = titles;
    }
 
-   /* Function: fixString
-    * If we're not in Titanium, we need to toLower the string.  JSDom seems to
-    * only find properties if they're lower case, despite the casing of the
-    * property in the actual xml.  Titanium works the opposite way.
-    *
-    * Parameters:
-    *    str      - *string* string to fix
-    *
-    * Returns:
-    *    *string* lower case of input str if we're not in titanium, otherwise
-    *    str
-    */
-
-   function fixStr (str) {
-      if (!isTi) {
-         str = str.toLowerCase();
-      }
-
-      return str;
-   }
-
    exports.setActive = setActive;
    exports.guessActive = guessActive;
    exports.getAgencyCache = getAgencyCache;
    exports.setAgencyCache = setAgencyCache;
    exports.cacheAgency = cacheAgency;
+   exports.agencyList = agencyList;
    exports.closestStops = closestStops;
+   exports.stopsWithinRadius = stopsWithinRadius;
    exports.routePredict = routePredict;
    exports.stopPredict = stopPredict;
+   exports.predictMany = predictMany;
+   exports.departureBoard = departureBoard;
+   exports.nearbyDepartures = nearbyDepartures;
+   exports.vehiclesApproaching = vehiclesApproaching;
+   exports.planTrip = planTrip;
+   exports.tripEta = tripEta;
    exports.vehicleLocations = vehicleLocations;
+   exports.trackVehicles = trackVehicles;
+   exports.watchStop = watchStop;
+   exports.watchRoute = watchRoute;
+   exports.getSchedule = getSchedule;
+   exports.getMessages = getMessages;
+   exports.nextScheduled = nextScheduled;
    exports.setActiveExpireTime = setActiveExpireTime;
    exports.getRoutes = getRoutes;
    exports.getStops = getStops;
+   exports.getRoutePath = getRoutePath;
+   exports.getRouteStyle = getRouteStyle;
+   exports.getStopsForDirection = getStopsForDirection;
+   exports.getDirectionsForStop = getDirectionsForStop;
+   exports.snapToRoute = snapToRoute;
+   exports.getPredictionCacheStats = getPredictionCacheStats;
+   exports.clearPredictionCache = clearPredictionCache;
+   exports.destroy = destroy;
 
    return exports;
 }
 
 exports.client = client;
+exports.transport = defaultTransport;
+exports.NextbusError = errors.NextbusError;
+exports.NoCacheError = errors.NoCacheError;
+exports.UnknownRouteError = errors.UnknownRouteError;
+exports.UnknownDirectionError = errors.UnknownDirectionError;
+exports.UnknownStopError = errors.UnknownStopError;
+exports.InvalidArgumentError = errors.InvalidArgumentError;
+exports.HttpError = errors.HttpError;
+exports.NetworkError = errors.NetworkError;
+exports.ParseError = errors.ParseError;
+exports.NextbusApiError = errors.NextbusApiError;
+exports.TimeoutError = errors.TimeoutError;
+exports.AbortError = errors.AbortError;
@@ -0,0 +1,120 @@
+/*
+   Class: jsonfeed
+   Reads responses from nextbus' publicJSONFeed.  The JSON feed mirrors the
+   xml one: attributes become string properties, child elements become
+   objects, and text becomes a 'content' property.  <walk> replays a response
+   as the same events <sax> gives for the xml, so everything reading the xml
+   reads the JSON unchanged.
+
+   The feed has a few quirks that walk smooths over.  An element appearing
+   once is an object rather than an array with one entry, elements with no
+   children (such as predictions without any prediction elements) lack the
+   property entirely, and some values are numbers rather than strings.
+*/
+
+/*
+   Function: parse
+   Parses a JSON feed response.
+
+   Parameters:
+      body  - *string* response body
+
+   Returns:
+      *object* the parsed response
+
+   Throws:
+      Error if the body isn't a JSON object
+*/
+function parse (body) {
+   var obj = JSON.parse(body);
+
+   if (obj === null || typeof obj !== 'object' || Array.isArray(obj)) {
+      throw new Error('json feed response is not an object');
+   }
+   return obj;
+}
+
+/*
+   Function: error
+   Finds the error nextbus gives in place of data.
+
+   Parameters:
+      obj   - *object* parsed response
+
+   Returns:
+      *object* with the error's 'text' and a boolean 'shouldRetry', or null
+*/
+function error (obj) {
+   var err = obj.Error;
+
+   if (Array.isArray(err)) {
+      err = err[0];
+   }
+   if (err === undefined || err === null) {
+      return null;
+   } else if (typeof err !== 'object') {
+      return {text: String(err), shouldRetry: false};
+   }
+
+   return {
+      text        : String(err.content || ''),
+      shouldRetry : String(err.shouldRetry) === 'true'
+   };
+}
+
+function element (name, obj, handlers) {
+   var attrs = {}, children = [], key, value;
+
+   for (key in obj) {
+      if (!obj.hasOwnProperty(key)) {
+         continue;
+      }
+      value = obj[key];
+      if (key === 'content') {
+         continue;
+      } else if (value !== null && typeof value === 'object') {
+         children.push(key);
+      } else if (value !== null && value !== undefined) {
+         attrs[key] = String(value);
+      }
+   }
+
+   if (handlers.open) {
+      handlers.open(name, attrs);
+   }
+   if (obj.content !== undefined && obj.content !== null && handlers.text) {
+      handlers.text(String(obj.content));
+   }
+   children.forEach(function (child) {
+      elements(child, obj[child], handlers);
+   });
+   if (handlers.close) {
+      handlers.close(name);
+   }
+}
+
+function elements (name, value, handlers) {
+   if (!Array.isArray(value)) {
+      value = [value];
+   }
+   value.forEach(function (obj) {
+      element(name, obj, handlers);
+   });
+}
+
+/*
+   Function: walk
+   Calls handlers as <sax.parse> would for the xml version of a response.
+   The root element is named 'body', like the xml feed's.
+
+   Parameters:
+      obj      - *object* parsed response
+      handlers - *object* open, close and text handlers, see <sax>
+*/
+function walk (obj, handlers) {
+   element('body', obj, handlers || {});
+}
+
+exports.parse = parse;
+exports.error = error;
+exports.walk = walk;
@@ -0,0 +1,234 @@
+/*
+   Class: sax
+   A small streaming xml parser.  Rather than building a document, it calls
+   handlers as it reads through the xml, so a large response like a
+   routeConfig can be turned straight into the data we keep.  The client
+   gives <parser> the routeConfig in chunks as it arrives, and reads whole
+   responses with <parse>.  It handles what the nextbus feed uses: elements, attributes, text, CDATA, comments,
+   processing instructions and the predefined and numeric entities.  It
+   doesn't validate beyond checking that elements are closed in order.
+
+   Handlers:
+      open  - *function (name, attrs)* an element starts.  attrs maps
+              attribute names, as written, to their decoded values.
+      close - *function (name)* an element ends, self closing elements get
+              this right after open
+      text  - *function (text)* decoded text inside an element.  Text may
+              be split over several calls.
+*/
+
+var ENTITIES = {lt: '<', gt: '>', amp: '&', quot: '"', apos: "'"};
+
+/*
+   Function: decode
+   Replaces entity and character references.
+
+   Parameters:
+      str   - *string* raw text or attribute value
+
+   Returns:
+      *string* decoded text
+*/
+function decode (str) {
+   if (str.indexOf('&') === -1) {
+      return str;
+   }
+
+   return str.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|[a-zA-Z]+);/g, function (ref, name) {
+      if (name.charAt(0) === '#') {
+         return String.fromCharCode(name.charAt(1) === 'x' ?
+            parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10));
+      }
+      return ENTITIES.hasOwnProperty(name) ? ENTITIES[name] : ref;
+   });
+}
+
+/*
+   Function: parser
+   Creates a parser to feed xml to in chunks.
+
+   Parameters:
+      handlers - *object* see above, any of them can be left out
+
+   Returns:
+      *object* with write(chunk) to parse more xml and close() to finish.
+      Both throw an Error on malformed xml.
+*/
+function parser (handlers) {
+   var buffer = '',
+       stack = [],
+       sawRoot = false,
+       attrPattern = /([^\s=\/]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+   handlers = handlers || {};
+
+   function fail (message) {
+      throw new Error('xml parse error: ' + message);
+   }
+
+   function text (str) {
+      if (stack.length && handlers.text && str.length) {
+         handlers.text(str);
+      }
+   }
+
+   function tag (body) {
+      var name, attrs = {}, match, selfClosing, space;
+
+      if (body.charAt(0) === '/') {
+         name = body.slice(1).trim();
+         if (stack.pop() !== name) {
+            fail('unexpected </' + name + '>');
+         }
+         if (handlers.close) {
+            handlers.close(name);
+         }
+         return;
+      }
+
+      selfClosing = body.charAt(body.length - 1) === '/';
+      if (selfClosing) {
+         body = body.slice(0, -1);
+      }
+
+      space = body.search(/\s/);
+      name = space === -1 ? body : body.slice(0, space);
+      if (!name) {
+         fail('element without a name');
+      }
+      if (stack.length === 0 && sawRoot) {
+         fail('more than one root element');
+      }
+      sawRoot = true;
+
+      if (space !== -1) {
+         attrPattern.lastIndex = 0;
+         while ((match = attrPattern.exec(body)) !== null) {
+            attrs[match[1]] = decode(match[2] !== undefined ? match[2] : match[3]);
+         }
+      }
+
+      if (handlers.open) {
+         handlers.open(name, attrs);
+      }
+      if (selfClosing) {
+         if (handlers.close) {
+            handlers.close(name);
+         }
+      } else {
+         stack.push(name);
+      }
+   }
+
+   // finds the > ending the tag starting at start, skipping quoted values
+   function tagEnd (str, start) {
+      var i, c, quote = null;
+
+      for (i = start; i < str.length; i++) {
+         c = str.charAt(i);
+         if (quote) {
+            if (c === quote) {
+               quote = null;
+            }
+         } else if (c === '"' || c === "'") {
+            quote = c;
+         } else if (c === '>') {
+            return i;
+         }
+      }
+      return -1;
+   }
+
+   function write (chunk) {
+      var str = buffer + chunk, pos = 0, lt, end;
+
+      while (pos < str.length) {
+         lt = str.indexOf('<', pos);
+         if (lt === -1) {
+            // the rest may end in the middle of an entity, keep it for later
+            break;
+         }
+         if (lt > pos) {
+            text(decode(str.slice(pos, lt)));
+            pos = lt;
+         }
+
+         if (str.substr(lt, 4) === '<!--') {
+            end = str.indexOf('-->', lt + 4);
+            if (end === -1) {
+               break;
+            }
+            pos = end + 3;
+         } else if (str.substr(lt, 9) === '<![CDATA[') {
+            end = str.indexOf(']]>', lt + 9);
+            if (end === -1) {
+               break;
+            }
+            text(str.slice(lt + 9, end));
+            pos = end + 3;
+         } else if (str.charAt(lt + 1) === '?') {
+            end = str.indexOf('?>', lt + 2);
+            if (end === -1) {
+               break;
+            }
+            pos = end + 2;
+         } else if (str.charAt(lt + 1) === '!') {
+            // doctype, internal subsets aren't supported
+            end = str.indexOf('>', lt + 2);
+            if (end === -1) {
+               break;
+            }
+            pos = end + 1;
+         } else {
+            end = tagEnd(str, lt + 1);
+            if (end === -1) {
+               break;
+            }
+            tag(str.slice(lt + 1, end));
+            pos = end + 1;
+         }
+      }
+
+      buffer = str.slice(pos);
+   }
+
+   function close () {
+      if (buffer.trim() !== '') {
+         if (buffer.indexOf('<') === -1) {
+            text(decode(buffer));
+         } else {
+            fail('unexpected end of input');
+         }
+      }
+      buffer = '';
+      if (!sawRoot) {
+         fail('no root element');
+      }
+      if (stack.length) {
+         fail('unclosed <' + stack[stack.length - 1] + '>');
+      }
+   }
+
+   return {write: write, close: close};
+}
+
+/*
+   Function: parse
+   Parses a whole xml string.
+
+   Parameters:
+      xml      - *string* xml to parse
+      handlers - *object* see above
+
+   Throws:
+      Error on malformed xml, including an empty string.
+*/
+function parse (xml, handlers) {
+   var p = parser(handlers);
+   p.write(xml || '');
+   p.close();
+}
+
+exports.decode = decode;
+exports.parser = parser;
+exports.parse = parse;
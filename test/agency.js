@@ -0,0 +1,125 @@
+var vows       = require('vows'),
+    assert     = require('assert'),
+    nextbusjs  = require('../lib/index'),
+    helpers    = require('./support/helpers'),
+    nextbus    = nextbusjs.client,
+    nock       = require('nock');
+
+var baseURL = 'http://webservices.nextbus.com';
+var getPath = '/service/publicXMLFeed';
+
+var suite = vows.describe('agency options');
+
+suite.addBatch({
+    'agencyList': {
+        topic: function () {
+            nock(baseURL)
+                .get(getPath)
+                .query({command: 'agencyList'})
+                .replyWithFile(200, __dirname + '/replies/agencyList.xml');
+            nextbus().agencyList(this.callback);
+        },
+        'parses every agency': function (err, data) {
+            assert.isNull(err);
+            assert.equal(data.length, 3);
+            assert.deepEqual(data[1], {
+                tag: 'rutgers',
+                title: 'Rutgers University',
+                shortTitle: undefined,
+                regionTitle: 'New Jersey'
+            });
+            assert.equal(data[2].shortTitle, 'SF Muni');
+        }
+    }
+});
+
+suite.addBatch({
+    'cacheAgency with another agency': {
+        topic: function () {
+            nock(baseURL)
+                .get(getPath)
+                .query({command: 'routeConfig', a: 'sf-muni'})
+                .replyWithFile(200, __dirname + '/replies/rutgers_routeConfig.xml');
+            nextbus().cacheAgency('sf-muni', this.callback);
+        },
+        'queries that agency': function (err, data) {
+            assert.isNull(err);
+            assert.isObject(data.routes);
+        }
+    }
+});
+
+suite.addBatch({
+    'client options': {
+        topic: function () {
+            nock('http://nextbus.example.com')
+                .get('/feed')
+                .query({command: 'routeConfig', a: 'rutgers'})
+                .replyWithFile(200, __dirname + '/replies/rutgers_routeConfig.xml');
+            nextbus({
+                agency: 'rutgers',
+                baseURL: 'http://nextbus.example.com/feed',
+                bounds: {lower: 40.7, upper: 41}
+            }).cacheAgency(null, this.callback);
+        },
+        'uses the configured agency, feed and bounds': function (err, data) {
+            assert.isNull(err);
+            assert.include(data.routes, 'kearney');
+            assert.isUndefined(data.routes.a);
+        }
+    }
+});
+
+suite.addBatch({
+    'a cache set without an agency': {
+        topic: function () {
+            var callback = this.callback,
+                transport = helpers.transport(),
+                client = nextbus({transport: transport}),
+                cache = nextbus({transport: helpers.transport()});
+
+            cache.cacheAgency('rutgers', function (err, data) {
+                if (err) {
+                    callback(err);
+                    return;
+                }
+                client.setAgencyCache(data);
+                client.routePredict('a', null, function (err) {
+                    callback(null, {err: err, transport: transport});
+                });
+            });
+        },
+        'fails before making a request': function (topic) {
+            assert.instanceOf(topic.err, nextbusjs.InvalidArgumentError);
+            assert.equal(topic.err.command, 'predictionsForMultiStops');
+            assert.deepEqual(topic.transport.urls, []);
+        }
+    },
+    'a cache set without an agency on a client with one': {
+        topic: function () {
+            var callback = this.callback,
+                transport = helpers.transport({
+                    predictionsForMultiStops: helpers.fixture('rutgers_predictions_a.xml')
+                }),
+                client = nextbus({agency: 'rutgers', transport: transport}),
+                cache = nextbus({transport: helpers.transport()});
+
+            cache.cacheAgency('rutgers', function (err, data) {
+                if (err) {
+                    callback(err);
+                    return;
+                }
+                client.setAgencyCache(data);
+                client.routePredict('a', null, function (err) {
+                    callback(null, {err: err, transport: transport});
+                });
+            });
+        },
+        'keeps the client\'s agency': function (topic) {
+            assert.isNull(topic.err);
+            assert.match(topic.transport.urls[0], /&a=rutgers&/);
+        }
+    }
+});
+
+suite.export(module);
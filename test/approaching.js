@@ -0,0 +1,106 @@
+var vows       = require('vows'),
+    assert     = require('assert'),
+    url        = require('url'),
+    nextbusjs  = require('../lib/index'),
+    helpers    = require('./support/helpers');
+
+var suite = vows.describe('vehiclesApproaching');
+
+var blocks = helpers.blocks(helpers.fixture('rutgers_predictions_a.xml'));
+
+function approaching (stop, options) {
+    return helpers.withClient({
+        vehicleLocations: helpers.fixture('rutgers_vehicleLocations.xml'),
+        predictionsForMultiStops: helpers.predictionsOf(blocks, true)
+    }, function (client, callback) {
+        client.vehiclesApproaching(stop, options, callback);
+    });
+}
+
+function summary (data) {
+    return data.map(function (item) {
+        return [item.vehicle.id, item.stop, item.stopsAway];
+    });
+}
+
+suite.addBatch({
+    'a two way route': {
+        topic: approaching('Hill Center', {route: 'a'}),
+        'finds the vehicles before the stop, nearest first': function (topic) {
+            assert.isNull(topic.err);
+            assert.deepEqual(summary(topic.data), [['4023', 'hillw', 0], ['4091', 'hillw', 4]]);
+        },
+        'measures along the path': function (topic) {
+            assert.isTrue(topic.data[0].distance > 0);
+            assert.isTrue(topic.data[1].distance > topic.data[0].distance);
+            assert.equal(topic.data[0].direction, 'a_outbound');
+        },
+        'matches the predictions': function (topic) {
+            assert.equal(topic.data[0].prediction.vehicle, '4023');
+            assert.isNumber(topic.data[0].prediction.minutes);
+        },
+        'asks for every vehicle of the route': function (topic) {
+            var query = url.parse(topic.urls.filter(function (uri) {
+                return uri.indexOf('vehicleLocations') !== -1;
+            })[0], true).query;
+            assert.equal(query.r, 'a');
+            assert.isUndefined(query.t);
+        }
+    },
+    'a stop already passed on a two way route': {
+        topic: approaching('stuactcntr', {route: 'a'}),
+        'has only the vehicle before it': function (topic) {
+            assert.deepEqual(summary(topic.data), [['4091', 'stuactcntr', 0]]);
+        }
+    },
+    'with maxStops': {
+        topic: approaching('hillw', {route: 'a', maxStops: 2}),
+        'leaves out vehicles further away': function (topic) {
+            assert.deepEqual(summary(topic.data), [['4023', 'hillw', 0]]);
+        }
+    },
+    'a loop': {
+        'ahead of the vehicle': {
+            topic: approaching('shoplite', {route: 'kearney'}),
+            'counts the stops in between': function (topic) {
+                assert.deepEqual(summary(topic.data), [['4200', 'shoplite', 6]]);
+                assert.isNull(topic.data[0].prediction);
+            }
+        },
+        'at its start': {
+            topic: approaching('boydhall', {route: 'kearney'}),
+            'goes around to it': function (topic) {
+                assert.deepEqual(summary(topic.data), [['4200', 'boydhall', 7]]);
+            }
+        },
+        'behind the vehicle': {
+            topic: approaching('njit', {route: 'kearney'}),
+            'goes around again': function (topic) {
+                assert.deepEqual(summary(topic.data), [['4200', 'njit', 8]]);
+                assert.isTrue(topic.data[0].distance > 0);
+            }
+        }
+    },
+    'errors': {
+        'an unknown stop': {
+            topic: approaching('nowhere'),
+            'is an UnknownStopError': function (topic) {
+                assert.instanceOf(topic.err, nextbusjs.UnknownStopError);
+            }
+        },
+        'an unknown route': {
+            topic: approaching('hillw', {route: 'nope'}),
+            'is an UnknownRouteError': function (topic) {
+                assert.instanceOf(topic.err, nextbusjs.UnknownRouteError);
+            }
+        },
+        'a bad maxStops': {
+            topic: approaching('hillw', {maxStops: 'two'}),
+            'is an InvalidArgumentError': function (topic) {
+                assert.instanceOf(topic.err, nextbusjs.InvalidArgumentError);
+            }
+        }
+    }
+});
+
+suite.export(module);
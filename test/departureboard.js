@@ -0,0 +1,82 @@
+var vows       = require('vows'),
+    assert     = require('assert'),
+    helpers    = require('./support/helpers');
+
+var suite = vows.describe('departureBoard');
+
+var hill = helpers.fixture('rutgers_predictions_hill.xml'),
+    // vehicle 4131 predicted on the same trip at both Hill Center stops
+    twice = hill.replace('epochTime="1444071580339" seconds="140" minutes="2" ' +
+                         'isDeparture="false" dirTag="c_inbound" vehicle="4132" ' +
+                         'block="c_2" tripTag="302"',
+                         'epochTime="1444072060339" seconds="620" minutes="10" ' +
+                         'isDeparture="false" dirTag="c_inbound" vehicle="4131" ' +
+                         'block="c_1" tripTag="301"');
+
+function board (xml, stops, options) {
+    return helpers.withClient({
+        predictionsForMultiStops: helpers.predictionsOf(helpers.blocks(xml))
+    }, function (client, callback) {
+        client.departureBoard(stops, options, callback);
+    });
+}
+
+function summary (data) {
+    return data.map(function (d) { return d.route + '|' + d.stop + '|' + d.minutes; });
+}
+
+suite.addBatch({
+    'a board': {
+        topic: board(hill, ['Hill Center'], null),
+        'lists every departure, soonest first': function (topic) {
+            assert.isNull(topic.err);
+            assert.deepEqual(summary(topic.data), [
+                'rexb|hilln|0', 'h|hilln|1', 'c|hilln|2', 'b|hillw|4', 'rexb|hillw|6',
+                'a|hillw|6', 'c|hillw|9', 'rexb|hilln|12', 'a|hillw|18'
+            ]);
+        },
+        'describes each departure': function (topic) {
+            assert.deepEqual(topic.data[0], {
+                route      : 'rexb',
+                routeTitle : 'REX B',
+                direction  : 'To College Hall',
+                dirTag     : 'rexb_inbound',
+                stop       : 'hilln',
+                stopTitle  : 'Hill Center',
+                minutes    : 0,
+                time       : new Date(1444071460339),
+                vehicle    : '4151'
+            });
+        }
+    },
+    'a horizon': {
+        topic: board(hill, ['Hill Center'], {horizon: 5}),
+        'leaves out later departures': function (topic) {
+            assert.deepEqual(summary(topic.data), [
+                'rexb|hilln|0', 'h|hilln|1', 'c|hilln|2', 'b|hillw|4'
+            ]);
+        }
+    },
+    'a limit per route': {
+        topic: board(hill, [{stop: 'Hill Center'}], {maxPerRoute: 1}),
+        'keeps the soonest of each route': function (topic) {
+            assert.deepEqual(summary(topic.data), [
+                'rexb|hilln|0', 'h|hilln|1', 'c|hilln|2', 'b|hillw|4', 'a|hillw|6'
+            ]);
+        }
+    },
+    'a vehicle at both tags of a title': {
+        topic: board(twice, ['Hill Center'], {routes: ['c']}),
+        'is listed once': function (topic) {
+            assert.deepEqual(summary(topic.data), ['c|hillw|9']);
+        }
+    },
+    'without de-duplication': {
+        topic: board(twice, ['Hill Center'], {routes: ['c'], dedupe: false}),
+        'a vehicle is listed at each tag': function (topic) {
+            assert.deepEqual(summary(topic.data), ['c|hillw|9', 'c|hilln|10']);
+        }
+    }
+});
+
+suite.export(module);
@@ -0,0 +1,148 @@
+var vows       = require('vows'),
+    assert     = require('assert'),
+    nextbusjs  = require('../lib/index'),
+    helpers    = require('./support/helpers'),
+    nextbus    = nextbusjs.client;
+
+var suite = vows.describe('errors');
+
+function answering (status, body) {
+    return function (url, signal, callback) {
+        setTimeout(function () {
+            callback(null, {status: status, body: body});
+        }, 0);
+    };
+}
+
+function failing (url, signal, callback) {
+    callback(new Error('connect ECONNREFUSED'), null);
+}
+
+function cached () {
+    var client = nextbus({agency: 'rutgers', transport: helpers.transport()}),
+        callback = this.callback;
+    client.cacheAgency(null, function (err) {
+        callback(err, client);
+    });
+}
+
+suite.addBatch({
+    'classes': {
+        topic: new nextbusjs.UnknownStopError(null, {stop: 'nowhere'}),
+        'inherit from NextbusError and Error': function (topic) {
+            assert.instanceOf(topic, nextbusjs.UnknownStopError);
+            assert.instanceOf(topic, nextbusjs.NextbusError);
+            assert.instanceOf(topic, Error);
+        },
+        'have a name, code and default message': function (topic) {
+            assert.equal(topic.name, 'UnknownStopError');
+            assert.equal(topic.code, 'EUNKNOWNSTOP');
+            assert.equal(topic.message, 'stop not found');
+            assert.equal(topic.stop, 'nowhere');
+            assert.isString(topic.stack);
+        }
+    },
+    'predicting without a cache': {
+        topic: function () {
+            nextbus({agency: 'rutgers'}).stopPredict('hillw', null, this.callback);
+        },
+        'is a NoCacheError': function (err, data) {
+            assert.instanceOf(err, nextbusjs.NoCacheError);
+            assert.equal(err.code, 'ENOCACHE');
+        }
+    },
+    'a bad status': {
+        topic: function () {
+            nextbus({agency: 'rutgers', transport: answering(404, '')})
+                .cacheAgency(null, this.callback);
+        },
+        'is an HttpError with the url and command': function (err, data) {
+            assert.instanceOf(err, nextbusjs.HttpError);
+            assert.equal(err.code, 'EHTTP');
+            assert.equal(err.status, 404);
+            assert.equal(err.command, 'routeConfig');
+            assert.equal(err.url,
+                'http://webservices.nextbus.com/service/publicXMLFeed?command=routeConfig&a=rutgers');
+        }
+    },
+    'a failed request': {
+        topic: function () {
+            nextbus({transport: failing}).agencyList(this.callback);
+        },
+        'is a NetworkError wrapping the cause': function (err, data) {
+            assert.instanceOf(err, nextbusjs.NetworkError);
+            assert.equal(err.cause.message, 'connect ECONNREFUSED');
+            assert.equal(err.command, 'agencyList');
+            assert.equal(err.url,
+                'http://webservices.nextbus.com/service/publicXMLFeed?command=agencyList');
+        }
+    },
+    'an empty response': {
+        topic: function () {
+            nextbus({agency: 'rutgers', transport: answering(200, '')})
+                .vehicleLocations(null, null, null, this.callback, true);
+        },
+        'is a ParseError': function (err, data) {
+            assert.instanceOf(err, nextbusjs.ParseError);
+            assert.equal(err.code, 'EPARSE');
+            assert.equal(err.command, 'vehicleLocations');
+            assert.equal(err.url,
+                'http://webservices.nextbus.com/service/publicXMLFeed?command=vehicleLocations&a=rutgers');
+        }
+    },
+    'a bad agency': {
+        topic: function () {
+            nextbus().cacheAgency(42, this.callback);
+        },
+        'is an InvalidArgumentError': function (err, data) {
+            assert.instanceOf(err, nextbusjs.InvalidArgumentError);
+            assert.equal(err.code, 'EINVALIDARG');
+        }
+    },
+    'an empty predictions response': {
+        topic: function () {
+            var callback = this.callback,
+                client = nextbus({agency: 'rutgers', transport: helpers.transport({
+                    predictionsForMultiStops: '<body></body>'
+                })});
+            client.cacheAgency(null, function (err) {
+                if (err) {
+                    callback(err);
+                    return;
+                }
+                client.stopPredict('scott', null, callback);
+            });
+        },
+        'is a ParseError with the url and command': function (err, data) {
+            assert.instanceOf(err, nextbusjs.ParseError);
+            assert.equal(err.command, 'predictionsForMultiStops');
+            assert.match(err.url, /command=predictionsForMultiStops&a=rutgers&stops=/);
+        }
+    }
+});
+
+suite.addBatch({
+    'with a cache': {
+        topic: cached,
+        'an unknown route': {
+            topic: function (client) {
+                client.routePredict('zz', null, this.callback);
+            },
+            'is an UnknownRouteError': function (err, data) {
+                assert.instanceOf(err, nextbusjs.UnknownRouteError);
+                assert.equal(err.route, 'zz');
+            }
+        },
+        'an unknown stop': {
+            topic: function (client) {
+                client.stopPredict('nowhere', null, this.callback);
+            },
+            'is an UnknownStopError': function (err, data) {
+                assert.instanceOf(err, nextbusjs.UnknownStopError);
+                assert.equal(err.stop, 'nowhere');
+            }
+        }
+    }
+});
+
+suite.export(module);
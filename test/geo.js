@@ -0,0 +1,114 @@
+var geo     = require('../lib/geo'),
+    vows    = require('vows'),
+    assert  = require('assert');
+
+var suite = vows.describe('geo tests');
+
+suite.addBatch({
+   'distance' : {
+      'scott hall to the student center' : {
+         topic    : geo.distance(40.49957, -74.44824, 40.503222, -74.4519619),
+         'valid return' : function (topic) {
+            assert.inDelta(topic, 514, 1);
+         }
+      },
+      'one degree of latitude' : {
+         topic    : geo.distance(0, 0, 1, 0),
+         'valid return' : function (topic) {
+            assert.inDelta(topic, 111195, 1);
+         }
+      }
+   },
+   'bearing' : {
+      'due east' : {
+         topic    : geo.bearing(0, 0, 0, 1),
+         'valid return' : function (topic) {
+            assert.inDelta(topic, 90, 0.001);
+         }
+      },
+      'due west' : {
+         topic    : geo.bearing(0, 0, 0, -1),
+         'valid return' : function (topic) {
+            assert.inDelta(topic, 270, 0.001);
+         }
+      }
+   },
+   'fence' : {
+      'bounding box' : {
+         topic    : {inside: geo.fence({latMin: 0, lonMax: 1})},
+         'inside' : function (topic) {
+            assert.isTrue(topic.inside(0, 1));
+            assert.isTrue(topic.inside(50, -170));
+         },
+         'outside' : function (topic) {
+            assert.isFalse(topic.inside(-0.1, 0));
+            assert.isFalse(topic.inside(0, 1.1));
+         }
+      },
+      'polygon with a hole' : {
+         topic    : {inside: geo.fence({type: 'Polygon', coordinates: [
+            [[0, 0], [4, 0], [4, 4], [0, 4], [0, 0]],
+            [[1, 1], [3, 1], [3, 3], [1, 3], [1, 1]]
+         ]})},
+         'inside' : function (topic) {
+            assert.isTrue(topic.inside(0.5, 0.5));
+         },
+         'in the hole' : function (topic) {
+            assert.isFalse(topic.inside(2, 2));
+         },
+         'outside' : function (topic) {
+            assert.isFalse(topic.inside(5, 2));
+         }
+      },
+      'unsupported GeoJSON' : {
+         topic    : function () {
+            try {
+               geo.fence({type: 'LineString', coordinates: []});
+            } catch (e) {
+               return e;
+            }
+         },
+         'throws' : function (topic) {
+            assert.instanceOf(topic, TypeError);
+         }
+      }
+   },
+   'lengths' : {
+      topic    : geo.lengths([{lat: 0, lon: 0}, {lat: 0, lon: 1}, {lat: 1, lon: 1}]),
+      'valid return' : function (topic) {
+         assert.equal(topic.length, 3);
+         assert.equal(topic[0], 0);
+         assert.isTrue(Math.abs(topic[1] - 111195) < 10);
+         assert.isTrue(Math.abs(topic[2] - 2 * 111195) < 20);
+      }
+   },
+   'nearestPoint' : {
+      'beside a segment' : {
+         topic    : geo.nearestPoint([{lat: 0, lon: 0}, {lat: 0, lon: 0.01}], 0.001, 0.004),
+         'valid return' : function (topic) {
+            assert.equal(topic.index, 0);
+            assert.isTrue(Math.abs(topic.fraction - 0.4) < 1e-6);
+            assert.isTrue(Math.abs(topic.lon - 0.004) < 1e-9);
+            assert.isTrue(Math.abs(topic.distance - 111.2) < 1);
+         }
+      },
+      'past the end' : {
+         topic    : geo.nearestPoint([{lat: 0, lon: 0}, {lat: 0, lon: 0.01},
+                                      {lat: 0.01, lon: 0.01}], 0.02, 0.01),
+         'valid return' : function (topic) {
+            assert.equal(topic.index, 1);
+            assert.equal(topic.fraction, 1);
+            assert.equal(topic.lat, 0.01);
+         }
+      },
+      'a single point' : {
+         topic    : geo.nearestPoint([{lat: 0, lon: 0}], 0, 0.001),
+         'valid return' : function (topic) {
+            assert.equal(topic.index, 0);
+            assert.isTrue(Math.abs(topic.distance - 111.2) < 1);
+         }
+      }
+   }
+});
+
+suite.export(module);
@@ -0,0 +1,158 @@
+var vows       = require('vows'),
+    assert     = require('assert'),
+    nextbusjs  = require('../lib/index'),
+    nextbus    = nextbusjs.client,
+    nock       = require('nock'),
+    slice      = {lonMin: -74.46, lonMax: -74.44},
+    newBrunswick = {latMin: 40.47, latMax: 40.53, lonMin: -74.47, lonMax: -74.43},
+    newark     = {
+        type: 'Polygon',
+        coordinates: [[[-74.2, 40.72], [-74.13, 40.72], [-74.13, 40.78],
+                       [-74.2, 40.78], [-74.2, 40.72]]]
+    };
+
+var baseURL = 'http://webservices.nextbus.com';
+var getPath = '/service/publicXMLFeed';
+
+var suite = vows.describe('geofence');
+
+function cacheWith (options) {
+    return function () {
+        options.agency = 'rutgers';
+        nock(baseURL)
+            .get(getPath)
+            .query({command: 'routeConfig', a: 'rutgers'})
+            .replyWithFile(200, __dirname + '/replies/rutgers_routeConfig.xml');
+        nextbus(options).cacheAgency(null, this.callback);
+    };
+}
+
+function routeTags (data) {
+    return Object.keys(data.routes).sort();
+}
+
+suite.addBatch({
+    'clipping to a bounding box': {
+        topic: cacheWith({geofence: slice}),
+        'keeps routes partly inside': function (err, data) {
+            assert.isNull(err);
+            assert.include(data.routes, 'a');
+            assert.isUndefined(data.routes.kearney);
+            assert.isUndefined(data.routes.c);
+        },
+        'removes stops outside from routes and directions': function (err, data) {
+            assert.equal(data.routes.a.stops.indexOf('hillw'), -1);
+            assert.deepEqual(data.routes.a.directions[0].stops,
+                             ['scott', 'stuactcntr', 'buschse', 'busch_a']);
+            assert.isUndefined(data.stops.hillw);
+            assert.isUndefined(data.stopsByTitle['Hill Center']);
+        },
+        'clips paths': function (err, data) {
+            data.routes.a.paths.forEach(function (path) {
+                path.forEach(function (point) {
+                    assert.isTrue(point.lon >= slice.lonMin && point.lon <= slice.lonMax);
+                });
+            });
+        }
+    },
+    'keeping routes partly inside': {
+        topic: cacheWith({geofence: slice, geofencePolicy: 'keep'}),
+        'keeps their stops outside': function (err, data) {
+            assert.isNull(err);
+            assert.notEqual(data.routes.a.stops.indexOf('hillw'), -1);
+            assert.include(data.stops, 'hillw');
+            assert.isUndefined(data.routes.c);
+        }
+    },
+    'dropping routes partly inside': {
+        topic: cacheWith({geofence: {lonMin: -74.45, lonMax: -74.3}, geofencePolicy: 'drop'}),
+        'drops them': function (err, data) {
+            assert.isNull(err);
+            assert.deepEqual(routeTags(data), ['rexl']);
+        }
+    },
+    'a GeoJSON polygon': {
+        topic: cacheWith({geofence: newark}),
+        'keeps the routes inside it': function (err, data) {
+            assert.isNull(err);
+            assert.deepEqual(routeTags(data), [
+                'connect', 'housing', 'kearney', 'mdntpenn', 'penn', 'pennexpr'
+            ]);
+        }
+    },
+    'an invalid geofence': {
+        topic: function () {
+            try {
+                nextbus({geofence: {type: 'Point', coordinates: [0, 0]}});
+            } catch (e) {
+                return e;
+            }
+        },
+        'throws': function (topic) {
+            assert.instanceOf(topic, nextbusjs.InvalidArgumentError);
+        }
+    }
+});
+
+suite.addBatch({
+    'vehicleLocations': {
+        topic: function () {
+            nock(baseURL)
+                .get(getPath)
+                .query(true)
+                .replyWithFile(200, __dirname + '/replies/rutgers_vehicleLocations.xml');
+            nextbus({agency: 'rutgers', geofence: newark})
+                .vehicleLocations(null, null, null, this.callback, true);
+        },
+        'leaves out vehicles outside the geofence': function (err, data) {
+            assert.isNull(err);
+            assert.deepEqual(Object.keys(data), ['kearney']);
+        }
+    }
+});
+
+suite.addBatch({
+    'vehicles of dropped routes': {
+        topic: function () {
+            var callback = this.callback,
+                client = nextbus({agency: 'rutgers', geofence: newBrunswick,
+                                  geofencePolicy: 'drop'});
+
+            nock(baseURL)
+                .get(getPath)
+                .query({command: 'routeConfig', a: 'rutgers'})
+                .replyWithFile(200, __dirname + '/replies/rutgers_routeConfig.xml');
+            nock(baseURL)
+                .get(getPath)
+                .query(true)
+                .times(2)
+                .replyWithFile(200, __dirname + '/replies/rutgers_vehicleLocations.xml');
+            client.cacheAgency(null, function (err) {
+                if (err) {
+                    callback(err);
+                    return;
+                }
+                client.vehicleLocations(null, null, null, function (err, vehicles) {
+                    if (err) {
+                        callback(err);
+                        return;
+                    }
+                    client.guessActive(function (err, active) {
+                        callback(err, {vehicles: vehicles, active: active,
+                                       routes: client.getAgencyCache().routes});
+                    });
+                }, true);
+            });
+        },
+        'are left out of vehicleLocations': function (err, topic) {
+            assert.isNull(err);
+            assert.isUndefined(topic.routes.wknd1);
+            assert.deepEqual(Object.keys(topic.vehicles), ['a']);
+        },
+        'are left out of guessActive': function (err, topic) {
+            assert.deepEqual(topic.active.routes, [{tag: 'a', title: 'A'}]);
+        }
+    }
+});
+
+suite.export(module);
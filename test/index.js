@@ -232,7 +232,9 @@ suite.addBatch({
             },
             'valid return' : function (topic) {
                //console.dir(topic);
-               assert.isTrue('Werblin Back Entrance' in topic);
+               assert.isTrue(topic.some(function (stop) {
+                  return stop.title === 'Werblin Back Entrance';
+               }));
             }
          },
 
@@ -241,7 +243,7 @@ suite.addBatch({
                return rutgers.closestStops(40.5026240, -74.4516850);
             }, 
             'valid return' : function (topic) {
-               assert.isTrue('Rutgers Student Center' in topic);
+               assert.equal(topic[0].title, 'Rutgers Student Center');
             }
          }
       },
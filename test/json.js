@@ -0,0 +1,154 @@
+var vows       = require('vows'),
+    assert     = require('assert'),
+    nextbusjs  = require('../lib/index'),
+    helpers    = require('./support/helpers'),
+    nextbus    = nextbusjs.client;
+
+var suite = vows.describe('json feed');
+
+// Answers with the xml or json version of a fixture, depending on the feed
+// asked for
+function serve (file) {
+    return function (query, url) {
+        return helpers.fixture(file + (/publicJSONFeed/.test(url) ? '.json' : '.xml'));
+    };
+}
+
+// Predictions come from the file named in predictions
+function fixtures (predictions) {
+    return helpers.transport({
+        routeConfig: serve('rutgers_routeConfig'),
+        vehicleLocations: serve('rutgers_vehicleLocations'),
+        agencyList: serve('agencyList'),
+        predictionsForMultiStops: serve(predictions)
+    });
+}
+
+// Runs fn against an xml and a json client, each with a fresh cache
+function both (predictions, fn) {
+    return function () {
+        var callback = this.callback, results = {}, left = 2;
+
+        ['xml', 'json'].forEach(function (format) {
+            var transport = fixtures(predictions),
+                client = nextbus({
+                    agency: 'rutgers',
+                    format: format,
+                    transport: transport
+                });
+
+            client.cacheAgency(null, function (err) {
+                if (err) {
+                    callback(err);
+                    return;
+                }
+                fn(client, function (err, data) {
+                    results[format] = {err: err, data: data, urls: transport.urls};
+                    if (--left === 0) {
+                        callback(null, results);
+                    }
+                });
+            });
+        });
+    };
+}
+
+suite.addBatch({
+    'cacheAgency': {
+        topic: both(null, function (client, cb) {
+            cb(null, client.getAgencyCache());
+        }),
+        'uses the json feed': function (topic) {
+            assert.match(topic.json.urls[0], /\/publicJSONFeed\?command=routeConfig&a=rutgers$/);
+            assert.match(topic.xml.urls[0], /\/publicXMLFeed\?command=routeConfig/);
+        },
+        'caches the same data': function (topic) {
+            assert.equal(Object.keys(topic.json.data.routes).length, 21);
+            assert.deepEqual(topic.json.data, topic.xml.data);
+        }
+    },
+    'routePredict': {
+        topic: both('rutgers_predictions_a', function (client, cb) {
+            client.routePredict('a', null, cb, 'full');
+        }),
+        'gives the same predictions': function (topic) {
+            assert.isNull(topic.json.err);
+            assert.deepEqual(topic.json.data, topic.xml.data);
+        }
+    },
+    'stopPredict': {
+        topic: both('rutgers_predictions_hill', function (client, cb) {
+            client.stopPredict('Hill Center', null, cb);
+        }),
+        'gives the same predictions': function (topic) {
+            assert.isNull(topic.json.err);
+            assert.deepEqual(topic.json.data, topic.xml.data);
+        },
+        'maps routes without predictions to null': function (topic) {
+            assert.isTrue(topic.json.data.some(function (item) {
+                return item.predictions === null;
+            }));
+        }
+    },
+    'vehicleLocations': {
+        topic: both(null, function (client, cb) {
+            client.vehicleLocations(null, null, null, cb, true);
+        }),
+        'gives the same vehicles': function (topic) {
+            assert.isNull(topic.json.err);
+            assert.deepEqual(topic.json.data, topic.xml.data);
+            assert.deepEqual(Object.keys(topic.json.data).sort(), ['a', 'kearney', 'wknd1']);
+        }
+    },
+    'agencyList': {
+        topic: both(null, function (client, cb) {
+            client.agencyList(cb);
+        }),
+        'stays on the xml feed': function (topic) {
+            assert.match(topic.json.urls[1], /\/publicXMLFeed\?command=agencyList$/);
+            assert.deepEqual(topic.json.data, topic.xml.data);
+        }
+    }
+});
+
+suite.addBatch({
+    'an error from the json feed': {
+        topic: function () {
+            nextbus({agency: 'rutgers', format: 'json', transport: function (url, signal, cb) {
+                cb(null, {status: 200, body: JSON.stringify({Error: {
+                    content: 'Agency parameter "a=rutgers" is not valid.',
+                    shouldRetry: 'false'
+                }})});
+            }}).cacheAgency(null, this.callback);
+        },
+        'is a NextbusApiError': function (err, data) {
+            assert.instanceOf(err, nextbusjs.NextbusApiError);
+            assert.isFalse(err.shouldRetry);
+            assert.match(err.message, /Agency parameter "a=rutgers" is not valid/);
+        }
+    },
+    'a json feed response that is not json': {
+        topic: function () {
+            nextbus({agency: 'rutgers', format: 'json', transport: function (url, signal, cb) {
+                cb(null, {status: 200, body: '<body/>'});
+            }}).cacheAgency(null, this.callback);
+        },
+        'is a ParseError': function (err, data) {
+            assert.instanceOf(err, nextbusjs.ParseError);
+        }
+    },
+    'an unknown format': {
+        topic: function () {
+            try {
+                nextbus({format: 'yaml'});
+            } catch (e) {
+                return e;
+            }
+        },
+        'throws': function (topic) {
+            assert.instanceOf(topic, nextbusjs.InvalidArgumentError);
+        }
+    }
+});
+
+suite.export(module);
@@ -0,0 +1,105 @@
+var vows       = require('vows'),
+    assert     = require('assert'),
+    nextbus    = require('../lib/index').client,
+    nock       = require('nock'),
+    rutgers    = nextbus({agency: 'rutgers'});
+
+var baseURL = 'http://webservices.nextbus.com';
+var getPath = '/service/publicXMLFeed';
+
+var suite = vows.describe('messages');
+
+function ids (messages) {
+    return messages.map(function (message) { return message.id; });
+}
+
+suite.addBatch({
+    'caching agency': {
+        topic: function () {
+            nock(baseURL)
+                .get(getPath)
+                .query({command: 'routeConfig', a: 'rutgers'})
+                .replyWithFile(200, __dirname + '/replies/rutgers_routeConfig.xml');
+            rutgers.cacheAgency('rutgers', this.callback);
+        },
+        'succeeds': function (err, data) {
+            assert.isNull(err);
+        }
+    }
+});
+
+suite.addBatch({
+    'getMessages': {
+        topic: function () {
+            nock(baseURL)
+                .get(getPath)
+                .query({command: 'messages', a: 'rutgers', r: 'a'})
+                .replyWithFile(200, __dirname + '/replies/rutgers_messages.xml');
+            rutgers.getMessages('a', this.callback);
+        },
+        'parses every message': function (err, data) {
+            assert.isNull(err);
+            assert.deepEqual(ids(data), ['16711', '16800', '16801']);
+        },
+        'parses agency wide messages': function (err, data) {
+            assert.isTrue(data[0].agencyWide);
+            assert.deepEqual(data[0].routes, []);
+            assert.equal(data[0].priority, 'Low');
+            assert.equal(data[0].text, 'Buses run on a holiday schedule Thanksgiving week.');
+        },
+        'parses boundaries and affected stops': function (err, data) {
+            assert.equal(data[1].startBoundary.getTime(), 1443672000000);
+            assert.equal(data[1].endBoundary.getTime(), 1446350400000);
+            assert.deepEqual(data[1].routes, [{tag: 'a', stops: ['hillw']}]);
+            assert.isNull(data[2].startBoundary);
+            assert.deepEqual(data[2].routes, [{tag: 'a', stops: []}]);
+        }
+    }
+});
+
+suite.addBatch({
+    'routePredict with messages': {
+        topic: function () {
+            nock(baseURL)
+                .get(getPath)
+                .query(true)
+                .replyWithFile(200, __dirname + '/replies/rutgers_predictions_a.xml')
+                .get(getPath)
+                .query({command: 'messages', a: 'rutgers', r: 'a'})
+                .replyWithFile(200, __dirname + '/replies/rutgers_messages.xml');
+            rutgers.routePredict('a', null, this.callback, {messages: true});
+        },
+        'attaches the messages for each stop': function (err, data) {
+            assert.isNull(err);
+            assert.equal(data[0].tag, 'scott');
+            assert.deepEqual(ids(data[0].messages), ['16711', '16801']);
+            assert.equal(data[1].tag, 'hillw');
+            assert.deepEqual(ids(data[1].messages), ['16711', '16800', '16801']);
+        }
+    }
+});
+
+suite.addBatch({
+    'stopPredict with messages': {
+        topic: function () {
+            nock(baseURL)
+                .get(getPath)
+                .query(true)
+                .replyWithFile(200, __dirname + '/replies/rutgers_predictions_hill.xml')
+                .get(getPath)
+                .query(true)
+                .replyWithFile(200, __dirname + '/replies/rutgers_messages.xml');
+            rutgers.stopPredict('Hill Center', null, this.callback, {messages: true});
+        },
+        'attaches the messages for each route': function (err, data) {
+            assert.isNull(err);
+            assert.equal(data[0].tag, 'a');
+            assert.equal(data[0].stopTag, 'hillw');
+            assert.deepEqual(ids(data[0].messages), ['16711', '16800', '16801']);
+            assert.equal(data[1].tag, 'b');
+            assert.deepEqual(ids(data[1].messages), ['16711']);
+        }
+    }
+});
+
+suite.export(module);
@@ -0,0 +1,122 @@
+var vows       = require('vows'),
+    assert     = require('assert'),
+    url        = require('url'),
+    nextbusjs  = require('../lib/index'),
+    helpers    = require('./support/helpers'),
+    nextbus    = nextbusjs.client;
+
+var suite = vows.describe('nearbyDepartures');
+
+// a few hundred meters from Scott Hall and the Student Activities Center
+var here = {lat: 40.5018, lon: -74.4486};
+
+// vehicle, trip and minutes away for each route|stop predicted
+var live = {
+    'a|scott'      : [['4023', 'A1', 2], ['4091', 'A2', 8]],
+    'a|stuactcntr' : [['4023', 'A1', 4], ['4091', 'A2', 10]],
+    's|scott'      : [['5000', 'S1', 6]]
+};
+
+function nearby (lat, lon, options) {
+    return helpers.withClient({
+        predictionsForMultiStops: helpers.predictionTable(live)
+    }, function (client, callback) {
+        client.nearbyDepartures(lat, lon, options, callback);
+    });
+}
+
+function departures (data) {
+    return data.map(function (entry) {
+        return [entry.route, entry.vehicle, entry.stop, entry.minutes];
+    });
+}
+
+suite.addBatch({
+    'near two stops': {
+        topic: nearby(here.lat, here.lon, {radius: 300}),
+        'predicts every stop in one request': function (topic) {
+            assert.isNull(topic.err);
+            assert.equal(topic.urls.length, 1);
+            assert.include([].concat(url.parse(topic.urls[0], true).query.stops), 'a|null|scott');
+        },
+        'gives the catchable departures by boarding time': function (topic) {
+            assert.deepEqual(departures(topic.data), [
+                ['a', '4023', 'stuactcntr', 4],
+                ['s', '5000', 'scott', 6],
+                ['a', '4091', 'scott', 8]
+            ]);
+        },
+        'gives the walk': function (topic) {
+            var entry = topic.data[0];
+            assert.isTrue(entry.distance > 0 && entry.distance <= 300);
+            assert.equal(entry.walkMinutes, entry.distance / 1.3 / 60);
+            assert.isTrue(Math.abs(entry.leaveIn - (4 - entry.walkMinutes)) < 0.01);
+            assert.instanceOf(entry.time, Date);
+            assert.equal(entry.stopTitle, 'Student Activities Center');
+            assert.isUndefined(entry.tripTag);
+        }
+    },
+    'walking slowly': {
+        topic: nearby(here.lat, here.lon, {radius: 300, walkSpeed: 0.5}),
+        'leaves out what is gone before the rider gets there': function (topic) {
+            assert.deepEqual(departures(topic.data), [['a', '4091', 'stuactcntr', 10]]);
+        }
+    },
+    'with a limit and routes': {
+        topic: nearby(String(here.lat), String(here.lon), {radius: 300, limit: 1, routes: ['s']}),
+        'gives that many of those routes': function (topic) {
+            assert.deepEqual(departures(topic.data), [['s', '5000', 'scott', 6]]);
+        }
+    },
+    'with no stops in reach': {
+        topic: nearby(here.lat, here.lon, {radius: 100}),
+        'gives nothing without a request': function (topic) {
+            assert.isNull(topic.err);
+            assert.deepEqual(topic.data, []);
+            assert.equal(topic.urls.length, 0);
+        }
+    },
+    'with a bad walkSpeed': {
+        topic: nearby(here.lat, here.lon, {walkSpeed: 0}),
+        'gives InvalidArgumentError': function (topic) {
+            assert.instanceOf(topic.err, nextbusjs.InvalidArgumentError);
+        }
+    },
+    'with a radius of 0': {
+        topic: nearby(here.lat, here.lon, {radius: 0}),
+        'gives InvalidArgumentError': function (topic) {
+            assert.instanceOf(topic.err, nextbusjs.InvalidArgumentError);
+            assert.match(topic.err.message, /radius/);
+        }
+    },
+    'with a negative radius': {
+        topic: nearby(here.lat, here.lon, {radius: -5}),
+        'gives InvalidArgumentError': function (topic) {
+            assert.instanceOf(topic.err, nextbusjs.InvalidArgumentError);
+        }
+    },
+    'with a limit of 0': {
+        topic: nearby(here.lat, here.lon, {limit: 0}),
+        'gives InvalidArgumentError rather than the default': function (topic) {
+            assert.instanceOf(topic.err, nextbusjs.InvalidArgumentError);
+            assert.match(topic.err.message, /limit/);
+        }
+    },
+    'with a bad place': {
+        topic: nearby('here', null),
+        'gives InvalidArgumentError': function (topic) {
+            assert.instanceOf(topic.err, nextbusjs.InvalidArgumentError);
+        }
+    },
+    'without the agency cached': {
+        topic: function () {
+            nextbus({agency: 'rutgers'}).nearbyDepartures(here.lat, here.lon)
+                .then(null, this.callback.bind(this, null));
+        },
+        'gives NoCacheError': function (err) {
+            assert.instanceOf(err, nextbusjs.NoCacheError);
+        }
+    }
+});
+
+suite.export(module);
@@ -0,0 +1,70 @@
+var vows       = require('vows'),
+    assert     = require('assert'),
+    nextbus    = require('../lib/index').client,
+    nock       = require('nock'),
+    rutgers    = nextbus({agency: 'rutgers'});
+
+var baseURL = 'http://webservices.nextbus.com';
+var getPath = '/service/publicXMLFeed';
+
+var suite = vows.describe('nearest stops');
+
+function titles (stops) {
+    return stops.map(function (stop) { return stop.title; });
+}
+
+suite.addBatch({
+    'caching agency': {
+        topic: function () {
+            nock(baseURL)
+                .get(getPath)
+                .query({command: 'routeConfig', a: 'rutgers'})
+                .replyWithFile(200, __dirname + '/replies/rutgers_routeConfig.xml');
+            rutgers.cacheAgency('rutgers', this.callback);
+        },
+        'closestStops': {
+            topic: function () {
+                return rutgers.closestStops(40.518905, -74.455379, 4);
+            },
+            'are sorted by distance': function (topic) {
+                assert.deepEqual(titles(topic), [
+                    'Buell Apartments',
+                    'Werblin Main Entrance',
+                    'Werblin Back Entrance',
+                    'Busch Campus Center'
+                ]);
+            },
+            'have distances and bearings': function (topic) {
+                assert.inDelta(topic[0].distance, 341.4, 0.1);
+                assert.inDelta(topic[0].bearing, 340.9, 0.1);
+                assert.equal(topic[0].tag, 'buel');
+            }
+        },
+        'stopsWithinRadius': {
+            topic: function () {
+                return rutgers.stopsWithinRadius(40.518905, -74.455379, 400);
+            },
+            'returns stops in the radius': function (topic) {
+                assert.deepEqual(titles(topic), [
+                    'Buell Apartments',
+                    'Werblin Main Entrance'
+                ]);
+            }
+        },
+        'with active stops': {
+            topic: function () {
+                rutgers.setActive({
+                    time: new Date().getTime(),
+                    routes: [],
+                    stops: [{title: 'Werblin Back Entrance'}, {title: 'Hill Center'}]
+                });
+                return rutgers.closestStops(40.518905, -74.455379);
+            },
+            'only considers active stops': function (topic) {
+                assert.deepEqual(titles(topic), ['Werblin Back Entrance', 'Hill Center']);
+            }
+        }
+    }
+});
+
+suite.export(module);
@@ -0,0 +1,181 @@
+var vows       = require('vows'),
+    assert     = require('assert'),
+    nextbusjs  = require('../lib/index'),
+    helpers    = require('./support/helpers');
+
+var suite = vows.describe('planTrip');
+
+// vehicle, trip and minutes away for each route|stop predicted
+var live = {
+    'a|scott'   : [['4023', 'A1', 5]],
+    'a|busch_a' : [['4023', 'A1', 25], ['4091', 'A0', 2]],
+    'h|scott'   : [['5000', 'H1', 2]],
+    'h|busch_a' : [['5000', 'H1', 15]]
+};
+
+function plan (from, to, opts) {
+    return helpers.withClient({
+        predictionsForMultiStops: helpers.predictionTable(live),
+        schedule: function (query) {
+            if (query.r === 'a') {
+                return helpers.fixture('rutgers_schedule_a.xml');
+            }
+        }
+    }, function (client, callback) {
+        var stops = client.getAgencyCache().stops;
+        client.planTrip(typeof from === 'function' ? from(stops) : from, to, opts, callback);
+    });
+}
+
+function rides (itinerary) {
+    return itinerary.legs.filter(function (leg) {
+        return leg.mode === 'ride';
+    }).map(function (leg) {
+        return leg.route + ':' + leg.from.tag + '>' + leg.to.tag;
+    });
+}
+
+function near (time, minutes) {
+    return Math.abs(time.getTime() - (Date.now() + minutes * 60000)) < 60000;
+}
+
+suite.addBatch({
+    'leaving now': {
+        topic: plan('Scott Hall', 'Busch Campus Center'),
+        'ranks by live predictions': function (topic) {
+            assert.isNull(topic.err);
+            assert.deepEqual(rides(topic.data[0]), ['h:scott>busch_a']);
+            assert.deepEqual(rides(topic.data[1]), ['a:scott>busch_a']);
+            assert.isTrue(near(topic.data[0].arrival, 15));
+            assert.isTrue(near(topic.data[1].arrival, 25));
+        },
+        'joins the vehicle between the stops': function (topic) {
+            var leg = topic.data[1].legs[0];
+            assert.equal(leg.source, 'prediction');
+            assert.equal(leg.vehicle, '4023');
+            assert.isTrue(near(leg.depart, 5));
+            assert.equal(leg.stops, 9);
+            assert.equal(leg.from.title, 'Scott Hall');
+        },
+        'puts untimed itineraries last': function (topic) {
+            assert.equal(topic.data.length, 5);
+            assert.isNull(topic.data[4].arrival);
+            assert.isNull(topic.data[4].departure);
+        },
+        'finds transfers': function (topic) {
+            var transfer = topic.data.filter(function (itinerary) {
+                return itinerary.transfers === 1;
+            })[0];
+            assert.equal(rides(transfer).length, 2);
+        }
+    },
+    'leaving later': {
+        topic: plan('scott', 'busch_a', {at: new Date(2015, 9, 5, 6, 30), maxTransfers: 0}),
+        'uses the schedule': function (topic) {
+            var leg = topic.data[0].legs[0];
+            assert.deepEqual(rides(topic.data[0]), ['a:scott>busch_a']);
+            assert.equal(leg.source, 'schedule');
+            assert.equal(leg.block, 'a_1');
+            assert.equal(leg.depart.getTime(), new Date(2015, 9, 5, 7, 0).getTime());
+            assert.equal(topic.data[0].arrival.getTime(), new Date(2015, 9, 5, 7, 15).getTime());
+        },
+        'asks for no predictions': function (topic) {
+            assert.equal(topic.commands.indexOf('predictionsForMultiStops'), -1);
+            assert.notEqual(topic.commands.indexOf('schedule'), -1);
+        },
+        'makes no transfers': function (topic) {
+            topic.data.forEach(function (itinerary) {
+                assert.equal(itinerary.transfers, 0);
+            });
+        }
+    },
+    'from a place': {
+        topic: plan(function (stops) {
+            return {lat: Number(stops.scott.lat) + 0.001, lon: Number(stops.scott.lon)};
+        }, 'busch_a', {maxTransfers: 0, walkMeters: 150}),
+        'walks to the stop first': function (topic) {
+            var legs = topic.data[0].legs;
+            assert.equal(legs[0].mode, 'walk');
+            assert.equal(legs[0].to.tag, 'scott');
+            assert.isNumber(legs[0].from.lat);
+            assert.isTrue(legs[0].meters > 100 && legs[0].meters < 120);
+            assert.equal(topic.data[0].walking, legs[0].meters);
+        },
+        'sets off before the ride': function (topic) {
+            var ride = topic.data[0].legs[1],
+                walk = topic.data[0].legs[0].meters / 1.3 * 1000;
+            assert.isTrue(Math.abs(ride.depart - topic.data[0].departure - walk) <= 1);
+        }
+    },
+    'errors': {
+        'an unknown stop': {
+            topic: plan('scott', 'nowhere'),
+            'is an UnknownStopError': function (topic) {
+                assert.instanceOf(topic.err, nextbusjs.UnknownStopError);
+                assert.equal(topic.err.stop, 'nowhere');
+            }
+        },
+        'too many transfers': {
+            topic: plan('scott', 'busch_a', {maxTransfers: 2}),
+            'is an InvalidArgumentError': function (topic) {
+                assert.instanceOf(topic.err, nextbusjs.InvalidArgumentError);
+            }
+        },
+        'a walkSpeed of 0': {
+            topic: plan('scott', 'busch_a', {walkSpeed: 0}),
+            'is an InvalidArgumentError': function (topic) {
+                assert.instanceOf(topic.err, nextbusjs.InvalidArgumentError);
+                assert.match(topic.err.message, /walkSpeed/);
+            }
+        },
+        'a negative walkSpeed': {
+            topic: plan('scott', 'busch_a', {walkSpeed: -1.3}),
+            'is an InvalidArgumentError': function (topic) {
+                assert.instanceOf(topic.err, nextbusjs.InvalidArgumentError);
+            }
+        },
+        'a negative walkMeters': {
+            topic: plan({lat: 40.5, lon: -74.45}, 'busch_a', {walkMeters: -1}),
+            'is an InvalidArgumentError': function (topic) {
+                assert.instanceOf(topic.err, nextbusjs.InvalidArgumentError);
+                assert.match(topic.err.message, /walkMeters/);
+            }
+        },
+        'a transferMeters that is not a number': {
+            topic: plan('scott', 'busch_a', {transferMeters: 'abc'}),
+            'is an InvalidArgumentError': function (topic) {
+                assert.instanceOf(topic.err, nextbusjs.InvalidArgumentError);
+                assert.match(topic.err.message, /transferMeters/);
+            }
+        },
+        'a walkMeters of NaN': {
+            topic: plan('scott', 'busch_a', {walkMeters: NaN}),
+            'is an InvalidArgumentError': function (topic) {
+                assert.instanceOf(topic.err, nextbusjs.InvalidArgumentError);
+            }
+        },
+        'a transferMeters of 0': {
+            topic: plan('scott', 'busch_a', {transferMeters: 0}),
+            'is allowed': function (topic) {
+                assert.isNull(topic.err);
+                assert.isArray(topic.data);
+            }
+        },
+        'a place without numbers': {
+            topic: plan({lat: 'x', lon: 1}, 'busch_a'),
+            'is an InvalidArgumentError': function (topic) {
+                assert.instanceOf(topic.err, nextbusjs.InvalidArgumentError);
+                assert.match(topic.err.message, /lat and lon/);
+            }
+        },
+        'a limit of 0': {
+            topic: plan('scott', 'busch_a', {limit: 0}),
+            'is an InvalidArgumentError': function (topic) {
+                assert.instanceOf(topic.err, nextbusjs.InvalidArgumentError);
+                assert.match(topic.err.message, /limit/);
+            }
+        }
+    }
+});
+
+suite.export(module);
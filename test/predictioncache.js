@@ -0,0 +1,232 @@
+var vows       = require('vows'),
+    assert     = require('assert'),
+    helpers    = require('./support/helpers'),
+    nextbus    = require('../lib/index').client;
+
+var suite = vows.describe('prediction cache');
+
+var routeConfig = helpers.fixture('rutgers_routeConfig.xml'),
+    predictions = helpers.fixture('rutgers_predictions_a.xml');
+
+// Serves the rutgers fixtures, counting prediction requests.  Statuses are
+// used in turn for prediction requests, the last one repeating.
+function counting (statuses) {
+    var transport = function (url, signal, callback) {
+        var status = 200;
+
+        if (/predictionsForMultiStops/.test(url)) {
+            status = statuses ? statuses[Math.min(transport.requests, statuses.length - 1)] : 200;
+            transport.requests++;
+        }
+        setTimeout(function () {
+            callback(null, {
+                status: status,
+                body: /routeConfig/.test(url) ? routeConfig : predictions
+            });
+        }, 5);
+    };
+    transport.requests = 0;
+    return transport;
+}
+
+// Caches the agency, then hands fn the client and its transport
+function cached (options, fn) {
+    return function () {
+        var callback = this.callback, client;
+
+        options.agency = 'rutgers';
+        options.transport = options.transport || counting();
+        client = nextbus(options);
+        client.cacheAgency(null, function (err) {
+            if (err) {
+                callback(err);
+            } else {
+                fn(client, options.transport, callback);
+            }
+        });
+    };
+}
+
+suite.addBatch({
+    'concurrent identical predictions': {
+        topic: cached({predictionCacheMs: 60000}, function (client, transport, callback) {
+            var left = 3, results = [];
+
+            function done (err, data) {
+                results.push(data);
+                if (--left === 0) {
+                    callback(null, {client: client, transport: transport, results: results});
+                }
+            }
+
+            client.routePredict('a', null, done);
+            client.routePredict('a', null, done);
+            client.routePredict('a', null, done, 'full');
+        }),
+        'share one request': function (topic) {
+            assert.equal(topic.transport.requests, 1);
+            assert.deepEqual(topic.results[0], topic.results[1]);
+            assert.isString(topic.results[2][0].predictions[0].vehicle);
+        },
+        'are counted': function (topic) {
+            assert.deepEqual(topic.client.getPredictionCacheStats(),
+                             {hits: 0, misses: 1, coalesced: 2, size: 1});
+        },
+        'and a later one': {
+            topic: function (topic) {
+                var callback = this.callback;
+                topic.client.routePredict('a', null, function (err, data) {
+                    callback(err, topic);
+                });
+            },
+            'is answered from the cache': function (topic) {
+                assert.equal(topic.transport.requests, 1);
+                assert.equal(topic.client.getPredictionCacheStats().hits, 1);
+            }
+        }
+    },
+    'an expired prediction': {
+        topic: cached({predictionCacheMs: 10}, function (client, transport, callback) {
+            client.routePredict('a', null, function () {
+                setTimeout(function () {
+                    var stats = client.getPredictionCacheStats();
+                    client.routePredict('a', null, function (err) {
+                        callback(err, {transport: transport, stats: stats});
+                    });
+                }, 30);
+            });
+        }),
+        'is dropped and requested again': function (topic) {
+            assert.equal(topic.stats.size, 0);
+            assert.equal(topic.transport.requests, 2);
+        }
+    },
+    'a failed prediction': {
+        topic: cached({predictionCacheMs: 60000, transport: counting([503, 200])},
+            function (client, transport, callback) {
+                client.routePredict('a', null, function (first) {
+                    client.routePredict('a', null, function (err) {
+                        callback(err, {first: first, transport: transport});
+                    });
+                });
+            }),
+        'is not cached': function (topic) {
+            assert.equal(topic.first.status, 503);
+            assert.equal(topic.transport.requests, 2);
+        }
+    },
+    'a full cache': {
+        topic: cached({predictionCacheMs: 60000, predictionCacheSize: 1},
+            function (client, transport, callback) {
+                client.routePredict('a', null, function () {
+                    client.stopPredict('Hill Center', null, function (err) {
+                        callback(err, client.getPredictionCacheStats());
+                    });
+                });
+            }),
+        'drops the oldest entries': function (stats) {
+            assert.equal(stats.misses, 2);
+            assert.equal(stats.size, 1);
+        }
+    },
+    'a prediction answered from the cache': {
+        topic: cached({predictionCacheMs: 60000}, function (client, transport, callback) {
+            client.routePredict('a', null, function () {
+                var returned = false;
+                client.routePredict('a', null, function (err) {
+                    callback(err, {returned: returned, transport: transport});
+                });
+                returned = true;
+            });
+        }),
+        'is called back asynchronously': function (topic) {
+            assert.equal(topic.transport.requests, 1);
+            assert.isTrue(topic.returned);
+        }
+    },
+    'concurrent predictions with their own timeouts': {
+        topic: cached({predictionCacheMs: 60000}, function (client, transport, callback) {
+            var left = 3;
+            function done () {
+                if (--left === 0) {
+                    callback(null, {client: client, transport: transport});
+                }
+            }
+            client.routePredict('a', null, done);
+            client.routePredict('a', null, done, {timeoutMs: 5000});
+            client.routePredict('a', null, done, {timeoutMs: 5000});
+        }),
+        'share a request only with the same timeout': function (topic) {
+            assert.equal(topic.transport.requests, 2);
+            assert.deepEqual(topic.client.getPredictionCacheStats(),
+                             {hits: 0, misses: 2, coalesced: 1, size: 2});
+        }
+    },
+    'concurrent failed predictions': {
+        topic: cached({predictionCacheMs: 60000, transport: counting([503])},
+            function (client, transport, callback) {
+                var errs = [];
+                function done (err) {
+                    errs.push(err);
+                    if (errs.length === 2) {
+                        callback(null, errs);
+                    }
+                }
+                client.routePredict('a', null, done);
+                client.routePredict('a', null, done);
+            }),
+        'each get their own error': function (errs) {
+            assert.notStrictEqual(errs[0], errs[1]);
+            assert.equal(errs[1].name, 'HttpError');
+            assert.equal(errs[1].status, 503);
+            assert.equal(errs[1].url, errs[0].url);
+        }
+    },
+    'a throwing callback': {
+        topic: function () {
+            var callback = this.callback,
+                transport = counting(),
+                // catches what the client's callbacks throw
+                catching = function (url, signal, cb) {
+                    transport(url, signal, function (err, response) {
+                        try {
+                            cb(err, response);
+                        } catch (e) {
+                            catching.thrown = e;
+                        }
+                    });
+                };
+
+            cached({predictionCacheMs: 60000, transport: catching}, function (client) {
+                client.routePredict('a', null, function () {
+                    throw new Error('listener failed');
+                });
+                client.routePredict('a', null, function (err) {
+                    setTimeout(function () {
+                        callback(err, catching.thrown);
+                    }, 0);
+                });
+            }).call(this);
+        },
+        'does not keep the others waiting': function (thrown) {
+            assert.equal(thrown.message, 'listener failed');
+        }
+    },
+    'without a cache': {
+        topic: cached({}, function (client, transport, callback) {
+            var left = 2;
+            function done () {
+                if (--left === 0) {
+                    callback(null, transport);
+                }
+            }
+            client.routePredict('a', null, done);
+            client.routePredict('a', null, done);
+        }),
+        'every prediction makes a request': function (transport) {
+            assert.equal(transport.requests, 2);
+        }
+    }
+});
+
+suite.export(module);
@@ -0,0 +1,102 @@
+var vows       = require('vows'),
+    assert     = require('assert'),
+    url        = require('url'),
+    nextbusjs  = require('../lib/index'),
+    helpers    = require('./support/helpers');
+
+var suite = vows.describe('predictMany');
+
+var blocks = ['rutgers_predictions_a.xml', 'rutgers_predictions_hill.xml'].reduce(function (all, file) {
+    return all.concat(helpers.blocks(helpers.fixture(file)));
+}, []);
+
+function predictMany (options, items, units) {
+    return helpers.withClient({
+        predictionsForMultiStops: helpers.predictionsOf(blocks)
+    }, function (client, callback) {
+        client.predictMany(items, callback, units);
+    }, options);
+}
+
+function routes (results) {
+    return results.map(function (item) { return item.tag + '|' + item.stopTag; });
+}
+
+function stopCount (uri) {
+    return [].concat(url.parse(uri, true).query.stops).length;
+}
+
+var hill = [{stop: 'Hill Center'}];
+
+suite.addBatch({
+    'several stops': {
+        topic: predictMany({}, [
+            {stop: 'Hill Center', direction: 'To Busch Student Center'},
+            {stop: 'scott', route: 'a'},
+            {stop: 'hillw', route: 'a'}
+        ]),
+        'make one request': function (topic) {
+            assert.isNull(topic.err);
+            assert.equal(topic.urls.length, 1);
+        },
+        'ask for each stop once': function (topic) {
+            assert.equal(stopCount(topic.urls[0]), 3);
+        },
+        'give results for each item': function (topic) {
+            assert.equal(topic.data.length, 3);
+            assert.deepEqual(routes(topic.data[0]), ['a|hillw', 'b|hillw']);
+            assert.deepEqual(routes(topic.data[1]), ['a|scott']);
+            assert.deepEqual(routes(topic.data[2]), ['a|hillw']);
+            assert.equal(topic.data[0][0].direction, 'To Busch Student Center');
+            assert.isArray(topic.data[1][0].predictions);
+        }
+    },
+    'too many stops for one request': {
+        topic: predictMany({maxStopsPerRequest: 3}, hill),
+        'are split': function (topic) {
+            assert.isNull(topic.err);
+            assert.isTrue(topic.urls.length > 1);
+            topic.urls.forEach(function (uri) {
+                assert.isTrue(stopCount(uri) <= 3);
+            });
+        },
+        'and merged': function (topic) {
+            assert.deepEqual(routes(topic.data[0]).sort(), [
+                'a|hillw', 'b|hillw', 'c|hilln', 'c|hillw', 'h|hilln',
+                'rexb|hilln', 'rexb|hillw', 's|hillw', 'wknd1|hillw', 'wknd2|hilln'
+            ]);
+        }
+    },
+    'a url too long for one request': {
+        topic: predictMany({maxUrlLength: 160}, hill),
+        'is split': function (topic) {
+            assert.isTrue(topic.urls.length > 1);
+            topic.urls.forEach(function (uri) {
+                assert.isTrue(uri.length <= 160);
+            });
+            assert.equal(topic.data[0].length, 10);
+        }
+    },
+    'no stops': {
+        topic: predictMany({}, []),
+        'make no requests': function (topic) {
+            assert.deepEqual(topic.data, []);
+            assert.equal(topic.urls.length, 0);
+        }
+    },
+    'an unknown stop': {
+        topic: predictMany({}, [{stop: 'scott'}, {stop: 'nowhere'}]),
+        'fails': function (topic) {
+            assert.instanceOf(topic.err, nextbusjs.UnknownStopError);
+            assert.equal(topic.urls.length, 0);
+        }
+    },
+    'an unknown route': {
+        topic: predictMany({}, [{stop: 'scott', route: 'zz'}]),
+        'fails': function (topic) {
+            assert.instanceOf(topic.err, nextbusjs.UnknownRouteError);
+        }
+    }
+});
+
+suite.export(module);
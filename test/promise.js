@@ -0,0 +1,95 @@
+var vows       = require('vows'),
+    assert     = require('assert'),
+    nextbus    = require('../lib/index').client,
+    nock       = require('nock'),
+    rutgers    = nextbus({agency: 'rutgers'});
+
+var baseURL = 'http://webservices.nextbus.com';
+var getPath = '/service/publicXMLFeed';
+
+var suite = vows.describe('promise api');
+
+// Adapts a promise to the vows callback convention
+function settle (promise, callback) {
+    promise.then(function (data) {
+        callback(null, data);
+    }, function (err) {
+        callback(err, null);
+    });
+}
+
+suite.addBatch({
+    'cacheAgency without a callback': {
+        topic: function () {
+            nock(baseURL)
+                .get(getPath)
+                .query({command: 'routeConfig', a: 'rutgers'})
+                .replyWithFile(200, __dirname + '/replies/rutgers_routeConfig.xml');
+            settle(rutgers.cacheAgency('rutgers'), this.callback);
+        },
+        'resolves with the cache': function (err, data) {
+            assert.isNull(err);
+            assert.isObject(data.routes.a);
+        }
+    }
+});
+
+suite.addBatch({
+    'routePredict without a callback': {
+        topic: function () {
+            nock(baseURL)
+                .get(getPath)
+                .query(true)
+                .replyWithFile(200, __dirname + '/replies/rutgers_predictions_a.xml');
+            settle(rutgers.routePredict('a', null, 'both'), this.callback);
+        },
+        'resolves with predictions in the requested units': function (err, data) {
+            assert.isNull(err);
+            assert.deepEqual(data[0].predictions, [{minutes: '3', seconds: '200'}]);
+        }
+    },
+    'stopPredict for an unknown stop': {
+        topic: function () {
+            settle(rutgers.stopPredict('nowhere', null), this.callback);
+        },
+        'rejects': function (err, data) {
+            assert.instanceOf(err, Error);
+        }
+    }
+});
+
+suite.addBatch({
+    'vehicleLocations without a callback': {
+        topic: function () {
+            nock(baseURL)
+                .get(getPath)
+                .query({command: 'vehicleLocations', a: 'rutgers'})
+                .replyWithFile(200, __dirname + '/replies/rutgers_vehicleLocations.xml');
+            settle(rutgers.vehicleLocations(null, null, null, true), this.callback);
+        },
+        'resolves with vehicles by route': function (err, data) {
+            assert.isNull(err);
+            assert.equal(data.a.length, 2);
+        }
+    }
+});
+
+suite.addBatch({
+    'callbacks still work': {
+        topic: function () {
+            nock(baseURL)
+                .get(getPath)
+                .query(true)
+                .replyWithFile(200, __dirname + '/replies/rutgers_vehicleLocations.xml');
+            var ret = rutgers.guessActive(this.callback);
+            assert.isUndefined(ret);
+        },
+        'guessActive(callback)': function (err, data) {
+            assert.isNull(err);
+            assert.deepEqual(data.routes.map(function (r) { return r.tag; }),
+                             ['a', 'kearney', 'wknd1']);
+        }
+    }
+});
+
+suite.export(module);
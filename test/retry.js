@@ -0,0 +1,97 @@
+var vows       = require('vows'),
+    assert     = require('assert'),
+    readFile   = require('fs').readFileSync,
+    nextbus    = require('../lib/index').client;
+
+var suite = vows.describe('retries');
+
+var agencies = readFile(__dirname + '/replies/agencyList.xml', 'utf8'),
+    pleaseWait = readFile(__dirname + '/replies/503.html', 'utf8');
+
+function errorBody (shouldRetry) {
+    return '<?xml version="1.0" encoding="utf-8" ?>\n' +
+        '<body copyright="All data copyright agencies listed below and NextBus Inc 2015.">\n' +
+        '<Error shouldRetry="' + shouldRetry + '">\n' +
+        '  Agency server cannot fulfill request because of temporary problem.\n' +
+        '</Error>\n</body>\n';
+}
+
+// Answers with each response in turn, repeating the last one
+function responses (list) {
+    var transport = function (url, signal, callback) {
+        var response = list[Math.min(transport.calls, list.length - 1)];
+        transport.calls++;
+        setTimeout(function () {
+            callback(null, response);
+        }, 0);
+    };
+    transport.calls = 0;
+    return transport;
+}
+
+function agencyListWith (options) {
+    return function () {
+        var callback = this.callback;
+        nextbus(options).agencyList(function (err, data) {
+            callback(null, {err: err, data: data, calls: options.transport.calls});
+        });
+    };
+}
+
+suite.addBatch({
+    'a 503 followed by data': {
+        topic: agencyListWith({retries: 2, retryDelayMs: 1, transport: responses([
+            {status: 503, body: pleaseWait},
+            {status: 200, body: agencies}
+        ])}),
+        'is retried': function (topic) {
+            assert.isNull(topic.err);
+            assert.equal(topic.data.length, 3);
+            assert.equal(topic.calls, 2);
+        }
+    },
+    'a 503 without retries': {
+        topic: agencyListWith({transport: responses([
+            {status: 503, body: pleaseWait}
+        ])}),
+        'fails with the status': function (topic) {
+            assert.equal(topic.err.status, 503);
+            assert.equal(topic.calls, 1);
+        }
+    },
+    'a 404': {
+        topic: agencyListWith({retries: 2, retryDelayMs: 1, transport: responses([
+            {status: 404, body: ''}
+        ])}),
+        'is not retried': function (topic) {
+            assert.equal(topic.err.status, 404);
+            assert.equal(topic.calls, 1);
+        }
+    },
+    'an error that should be retried': {
+        topic: agencyListWith({retries: 2, retryDelayMs: 1, transport: responses([
+            {status: 200, body: errorBody(true)}
+        ])}),
+        'is retried until retries run out': function (topic) {
+            assert.equal(topic.calls, 3);
+        },
+        'carries the nextbus message': function (topic) {
+            assert.equal(topic.err.name, 'NextbusApiError');
+            assert.isTrue(topic.err.shouldRetry);
+            assert.match(topic.err.message, /Agency server cannot fulfill request/);
+        }
+    },
+    'an error that should not be retried': {
+        topic: agencyListWith({retries: 2, retryDelayMs: 1, transport: responses([
+            {status: 200, body: errorBody(false)},
+            {status: 200, body: agencies}
+        ])}),
+        'fails right away': function (topic) {
+            assert.equal(topic.err.name, 'NextbusApiError');
+            assert.isFalse(topic.err.shouldRetry);
+            assert.equal(topic.calls, 1);
+        }
+    }
+});
+
+suite.export(module);
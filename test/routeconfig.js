@@ -0,0 +1,170 @@
+var vows       = require('vows'),
+    assert     = require('assert'),
+    nextbusjs  = require('../lib/index'),
+    nextbus    = nextbusjs.client,
+    nock       = require('nock'),
+    rutgers    = nextbus({agency: 'rutgers'});
+
+var baseURL = 'http://webservices.nextbus.com';
+var getPath = '/service/publicXMLFeed';
+
+var suite = vows.describe('route config cache');
+
+suite.addBatch({
+    'caching agency': {
+        topic: function () {
+            nock(baseURL)
+                .get(getPath)
+                .query({command: 'routeConfig', a: 'rutgers'})
+                .replyWithFile(200, __dirname + '/replies/rutgers_routeConfig.xml');
+            rutgers.cacheAgency('rutgers', this.callback);
+        },
+        'keeps route colors and bounds': function (err, data) {
+            assert.isNull(err);
+            assert.equal(data.routes.a.color, 'ff00ff');
+            assert.equal(data.routes.a.oppositeColor, 'ffffff');
+            assert.deepEqual(data.routes.a.bounds, {
+                latMin: 40.49957,
+                latMax: 40.5277301,
+                lonMin: -74.46618,
+                lonMax: -74.44824
+            });
+        },
+        'keeps short titles': function (err, data) {
+            assert.equal(data.stops.biel.shortTitle, 'Biel');
+            assert.isUndefined(data.stops.scott.shortTitle);
+        },
+        'keeps direction flags': function (err, data) {
+            assert.isTrue(data.routes.a.directions[0].useForUI);
+            assert.isUndefined(data.routes.a.directions[0].name);
+        },
+        'getRoutePath': function (err, data) {
+            var paths = rutgers.getRoutePath('a');
+            assert.isArray(paths);
+            assert.isTrue(paths.length > 0);
+            assert.deepEqual(paths[0][0], {lat: 40.51871, lon: -74.45998});
+            assert.isNull(rutgers.getRoutePath('nope'));
+        },
+        'keeps the ordered stops of each direction': function (err, data) {
+            assert.deepEqual(data.routes.a.directions[1].stops,
+                             ['buells', 'werblinm', 'rutgerss_a']);
+        },
+        'getStopsForDirection': function (err, data) {
+            var stops = rutgers.getStopsForDirection('a', 'To Busch Student Center');
+            assert.equal(stops.length, 10);
+            assert.deepEqual(stops[0], {tag: 'scott', title: 'Scott Hall'});
+            assert.deepEqual(rutgers.getStopsForDirection('a', 'a_outbound'), stops);
+            assert.isNull(rutgers.getStopsForDirection('a', 'nope'));
+        },
+        'getDirectionsForStop': function (err, data) {
+            var dirs = rutgers.getDirectionsForStop('Hill Center');
+            assert.equal(dirs.length, 10);
+            assert.deepEqual(dirs[0], {
+                route: 'a',
+                direction: 'a_outbound',
+                title: 'To Busch Student Center',
+                stop: 'hillw'
+            });
+            assert.equal(rutgers.getDirectionsForStop('hilln').length, 4);
+            assert.isNull(rutgers.getDirectionsForStop('nowhere'));
+        },
+        'getRouteStyle': function (err, data) {
+            assert.deepEqual(rutgers.getRouteStyle('a'), {
+                color: '#ff00ff',
+                oppositeColor: '#ffffff'
+            });
+            assert.isNull(rutgers.getRouteStyle('nope'));
+        }
+    }
+});
+
+// predictions for a_outbound, out of travel order
+function predictionsFor (stops) {
+    return '<body>' + stops.map(function (stop) {
+        return '<predictions routeTitle="A" routeTag="a" stopTag="' + stop +
+            '" stopTitle="' + stop + '"><direction title="To Busch Student Center">' +
+            '<prediction minutes="5" seconds="300" dirTag="a_outbound" /></direction></predictions>';
+    }).join('') + '</body>';
+}
+
+suite.addBatch({
+    'routePredict with a direction': {
+        topic: function () {
+            nock(baseURL)
+                .get(getPath)
+                .query(true)
+                .reply(200, predictionsFor(['busch_a', 'scott', 'libofsciw', 'hillw']));
+            rutgers.routePredict('a', 'To Busch Student Center', this.callback);
+        },
+        'returns stops in travel order': function (err, data) {
+            assert.isNull(err);
+            assert.deepEqual(data.map(function (d) { return d.tag; }),
+                             ['scott', 'hillw', 'libofsciw', 'busch_a']);
+        },
+        'only queries the stops of that direction': function (err, data) {
+            var query = rutgers.getAgencyCache().routes.a.queries.a_outbound;
+            assert.equal(query.split('&stops=').length - 1, 10);
+            assert.match(query, /&stops=a\|a_outbound\|scott/);
+        }
+    },
+    'routePredict with an unknown direction': {
+        topic: function () {
+            rutgers.routePredict('a', 'sideways', this.callback);
+        },
+        'fails': function (err, data) {
+            assert.instanceOf(err, nextbusjs.UnknownDirectionError);
+            assert.equal(err.code, 'EUNKNOWNDIRECTION');
+        }
+    }
+});
+
+// what an agency cache saved before directions kept their stops looks like
+function olderCache () {
+    var data = JSON.parse(JSON.stringify(rutgers.getAgencyCache()));
+
+    Object.keys(data.routes).forEach(function (route) {
+        delete data.routes[route].paths;
+        data.routes[route].queries = {};
+        data.routes[route].directions.forEach(function (dir) {
+            delete dir.stops;
+        });
+    });
+    return data;
+}
+
+suite.addBatch({
+    'an agency cache from an older version': {
+        topic: function () {
+            var callback = this.callback, client = nextbus({agency: 'rutgers'});
+
+            client.setAgencyCache(olderCache(), 'rutgers');
+            nock(baseURL)
+                .get(getPath)
+                .query(true)
+                .reply(200, predictionsFor(['busch_a', 'scott', 'libofsciw', 'hillw']))
+                .get(getPath)
+                .query(true)
+                .reply(200, predictionsFor(['hillw']));
+            client.routePredict('a', 'a_outbound', function (err, route) {
+                if (err) {
+                    callback(err);
+                    return;
+                }
+                client.stopPredict('hillw', 'a_outbound', function (err, stop) {
+                    callback(err, {client: client, route: route, stop: stop});
+                });
+            });
+        },
+        'predicts a direction on every stop of its route': function (err, topic) {
+            assert.isNull(err);
+            assert.deepEqual(topic.route.map(function (d) { return d.tag; }),
+                             ['scott', 'hillw', 'libofsciw', 'busch_a']);
+            assert.deepEqual(topic.stop.map(function (d) { return d.tag; }), ['a']);
+        },
+        'has no paths': function (err, topic) {
+            assert.deepEqual(topic.client.getRoutePath('a'), []);
+        }
+    }
+});
+
+suite.export(module);
@@ -0,0 +1,83 @@
+var sax     = require('../lib/sax'),
+    vows    = require('vows'),
+    assert  = require('assert');
+
+var suite = vows.describe('sax tests');
+
+// records every event as a string
+function events (chunks) {
+   var ret = [], p = sax.parser({
+      open  : function (name, attrs) { ret.push('open ' + name + ' ' + JSON.stringify(attrs)); },
+      close : function (name) { ret.push('close ' + name); },
+      text  : function (text) {
+         if (text.trim()) {
+            ret.push('text ' + text.trim());
+         }
+      }
+   });
+
+   chunks.forEach(function (chunk) { p.write(chunk); });
+   p.close();
+   return ret;
+}
+
+var doc = '<?xml version="1.0" encoding="utf-8" ?>\n' +
+          '<!-- a comment -->\n' +
+          '<body copyright="&quot;Rutgers&quot; &amp; NextBus">\n' +
+          '<route tag="a" title=\'A > B\'><stop tag="hillw" stopId="1006"/></route>\n' +
+          '<text>Detour &lt;College Ave&gt; &#38; &#x41;<![CDATA[ <raw> ]]></text>\n' +
+          '</body>\n';
+
+var expected = [
+   'open body {"copyright":"\\"Rutgers\\" & NextBus"}',
+   'open route {"tag":"a","title":"A > B"}',
+   'open stop {"tag":"hillw","stopId":"1006"}',
+   'close stop',
+   'close route',
+   'open text {}',
+   'text Detour <College Ave> & A',
+   'text <raw>',
+   'close text',
+   'close body'
+];
+
+suite.addBatch({
+   'parsing' : {
+      'a whole document' : {
+         topic    : function () { return events([doc]); },
+         'gives every event, keeping attribute case' : function (topic) {
+            assert.deepEqual(topic, expected);
+         }
+      },
+      'a document in small chunks' : {
+         topic    : function () { return events(doc.match(/[\s\S]{1,3}/g)); },
+         'gives the same events' : function (topic) {
+            assert.deepEqual(topic.join('').replace(/text /g, ''),
+                             expected.join('').replace(/text /g, ''));
+            assert.equal(topic.filter(function (e) { return /^open|^close/.test(e); }).length, 8);
+         }
+      }
+   },
+   'malformed xml' : {
+      'an empty string' : {
+         topic    : function () { return function () { sax.parse('', {}); }; },
+         'throws' : function (topic) {
+            assert.throws(topic, Error);
+         }
+      },
+      'a mismatched close tag' : {
+         topic    : function () { return function () { sax.parse('<a><b></a>', {}); }; },
+         'throws' : function (topic) {
+            assert.throws(topic, /unexpected <\/a>/);
+         }
+      },
+      'an unclosed element' : {
+         topic    : function () { return function () { sax.parse('<a><b/>', {}); }; },
+         'throws' : function (topic) {
+            assert.throws(topic, /unclosed <a>/);
+         }
+      }
+   }
+});
+
+suite.export(module);
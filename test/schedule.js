@@ -0,0 +1,139 @@
+var vows       = require('vows'),
+    assert     = require('assert'),
+    nextbus    = require('../lib/index').client,
+    nock       = require('nock'),
+    helpers    = require('./support/helpers'),
+    rutgers    = nextbus({agency: 'rutgers'});
+
+var baseURL = 'http://webservices.nextbus.com';
+var getPath = '/service/publicXMLFeed';
+
+var suite = vows.describe('schedule');
+
+suite.addBatch({
+    'getSchedule': {
+        topic: function () {
+            nock(baseURL)
+                .get(getPath)
+                .query({command: 'schedule', a: 'rutgers', r: 'a'})
+                .replyWithFile(200, __dirname + '/replies/rutgers_schedule_a.xml');
+            rutgers.getSchedule('a', this.callback);
+        },
+        'splits timetables by direction and service class': function (err, data) {
+            assert.isNull(err);
+            assert.equal(data.title, 'A');
+            assert.equal(data.timetables.length, 3);
+            assert.equal(data.timetables[0].serviceClass, 'wkd');
+            assert.equal(data.timetables[1].direction, 'To Rutgers Student Center');
+            assert.equal(data.timetables[2].serviceClass, 'sat');
+        },
+        'parses stops and trips': function (err, data) {
+            var weekday = data.timetables[0];
+            assert.deepEqual(weekday.stops[1], {tag: 'hillw', title: 'Hill Center'});
+            assert.equal(weekday.trips.length, 3);
+            assert.deepEqual(weekday.trips[1], {
+                block: 'a_2',
+                times: [61200000, null, 62100000]
+            });
+        },
+
+        'nextScheduled': {
+            'on a weekday afternoon': {
+                topic: function () {
+                    // Friday, October 2nd 2015
+                    rutgers.nextScheduled('a', 'scott', {
+                        after: new Date(2015, 9, 2, 16, 0),
+                        limit: 3
+                    }, this.callback);
+                },
+                'finds the rest of the day and saturday': function (err, data) {
+                    assert.isNull(err);
+                    assert.deepEqual(data.map(function (d) { return d.time.getTime(); }), [
+                        new Date(2015, 9, 2, 17, 0).getTime(),
+                        new Date(2015, 9, 3, 0, 0).getTime(),
+                        new Date(2015, 9, 3, 10, 0).getTime()
+                    ]);
+                    assert.equal(data[2].serviceClass, 'sat');
+                }
+            },
+            'skips stops a trip does not serve': {
+                topic: function () {
+                    rutgers.nextScheduled('a', 'hillw', {
+                        after: new Date(2015, 9, 2, 16, 0),
+                        limit: 1
+                    }, this.callback);
+                },
+                'uses the midnight trip': function (err, data) {
+                    assert.isNull(err);
+                    assert.equal(data[0].time.getTime(),
+                                 new Date(2015, 9, 3, 0, 10).getTime());
+                    assert.equal(data[0].block, 'a_1');
+                }
+            },
+            'on sunday': {
+                topic: function () {
+                    rutgers.nextScheduled('a', 'scott', {
+                        after: new Date(2015, 9, 4, 12, 0),
+                        limit: 1
+                    }, this.callback);
+                },
+                'finds the first bus monday': function (err, data) {
+                    assert.isNull(err);
+                    assert.equal(data[0].time.getTime(),
+                                 new Date(2015, 9, 5, 7, 0).getTime());
+                }
+            }
+        }
+    }
+});
+
+// A sunday schedule, for the days clocks change in the US (March 8th 2015)
+// and in Europe (March 29th 2015)
+var sunday = helpers.fixture('rutgers_schedule_a.xml')
+    .replace('serviceClass="sat"', 'serviceClass="sun"');
+
+// Schedule times are wall clock times, even on the days the clocks change.
+// Only a local timezone that changes them on one of these days shows it.
+function clockChange (run) {
+    return helpers.withClient({schedule: sunday}, run);
+}
+
+function wallClock (date) {
+    return [date.getDate(), date.getHours(), date.getMinutes()];
+}
+
+suite.addBatch({
+    'nextScheduled on the days the clocks change': {
+        topic: clockChange(function (client, callback) {
+            client.nextScheduled('a', 'scott', {after: new Date(2015, 2, 8, 5, 0), limit: 1},
+                function (err, us) {
+                    if (err) {
+                        callback(err, null);
+                        return;
+                    }
+                    client.nextScheduled('a', 'scott', {after: new Date(2015, 2, 29, 5, 0), limit: 1},
+                        function (err, eu) {
+                            callback(err, eu && [us[0].time, eu[0].time]);
+                        });
+                });
+        }),
+        'keeps the scheduled hour': function (topic) {
+            assert.isNull(topic.err);
+            assert.deepEqual(topic.data.map(wallClock), [[8, 10, 0], [29, 10, 0]]);
+        }
+    },
+    'planTrip on the days the clocks change': {
+        topic: clockChange(function (client, callback) {
+            client.planTrip('scott', 'busch_a', {at: new Date(2015, 2, 8, 5, 0), maxTransfers: 0},
+                callback);
+        }),
+        'keeps the scheduled hours of the ride': function (topic) {
+            var ride = topic.data[0].legs[0];
+            assert.isNull(topic.err);
+            assert.deepEqual([wallClock(ride.depart), wallClock(ride.arrive)],
+                             [[8, 10, 0], [8, 10, 15]]);
+        }
+    }
+});
+
+suite.export(module);
@@ -0,0 +1,118 @@
+var vows       = require('vows'),
+    assert     = require('assert'),
+    nextbusjs  = require('../lib/index'),
+    helpers    = require('./support/helpers'),
+    geo        = require('../lib/geo'),
+    nextbus    = nextbusjs.client;
+
+var suite = vows.describe('snapToRoute');
+
+function cached () {
+    var callback = this.callback, client;
+
+    client = nextbus({agency: 'rutgers', transport: helpers.transport({
+        vehicleLocations: helpers.fixture('rutgers_vehicleLocations.xml')
+    })});
+    client.cacheAgency(null, function (err) {
+        callback(err, client);
+    });
+}
+
+function stop (client, tag) {
+    var data = client.getAgencyCache().stops[tag];
+    return {lat: Number(data.lat), lon: Number(data.lon)};
+}
+
+suite.addBatch({
+    'with the agency cached': {
+        topic: cached,
+        'at the first stop': {
+            topic: function (client) {
+                var at = stop(client, 'scott');
+                return client.snapToRoute('a', 'To Busch Student Center', at.lat, at.lon);
+            },
+            'is at the start': function (position) {
+                assert.equal(position.route, 'a');
+                assert.equal(position.direction, 'a_outbound');
+                assert.equal(position.distance, 0);
+                assert.equal(position.progress, 0);
+                assert.isTrue(position.offRoute < 1);
+            },
+            'is between the first two stops': function (position) {
+                assert.equal(position.previousStop.title, 'Scott Hall');
+                assert.equal(position.nextStop.title, 'Student Activities Center');
+                assert.isTrue(position.nextStop.distance > 0);
+            }
+        },
+        'at the last stop': {
+            topic: function (client) {
+                var at = stop(client, 'busch_a');
+                return {
+                    position: client.snapToRoute('a', 'a_outbound', at.lat, at.lon),
+                    stops: client.getStopsForDirection('a', 'a_outbound').map(function (s) {
+                        return stop(client, s.tag);
+                    })
+                };
+            },
+            'is at the end': function (topic) {
+                assert.isTrue(Math.abs(topic.position.progress - 100) < 1e-6);
+                assert.equal(topic.position.previousStop.tag, 'busch_a');
+                assert.isNull(topic.position.nextStop);
+            },
+            'followed the path rather than the stops': function (topic) {
+                var straight = geo.lengths(topic.stops);
+                assert.isTrue(topic.position.distance > straight[straight.length - 1]);
+            }
+        },
+        'beside the road': {
+            topic: function (client) {
+                var at = stop(client, 'hillw');
+                return {
+                    at: at,
+                    position: client.snapToRoute('a', 'a_outbound', at.lat + 0.0003, at.lon)
+                };
+            },
+            'snaps to the path': function (topic) {
+                assert.isTrue(topic.position.offRoute > 5);
+                assert.isTrue(topic.position.offRoute < 40);
+                assert.notEqual(topic.position.lat, topic.at.lat + 0.0003);
+            },
+            'finds the stops around it': function (topic) {
+                var names = [topic.position.previousStop.tag, topic.position.nextStop.tag];
+                assert.include(['werblinback', 'hillw'], names[0]);
+                assert.include(['hillw', 'science'], names[1]);
+            }
+        },
+        'without a direction': {
+            topic: function (client) {
+                var at = stop(client, 'werblinm');
+                return client.snapToRoute('a', null, at.lat, at.lon);
+            },
+            'uses the closest direction': function (position) {
+                assert.isTrue(position.offRoute < 1);
+            }
+        },
+        'an unknown route': {
+            topic: function (client) {
+                return {position: client.snapToRoute('nope', null, 40.5, -74.4)};
+            },
+            'gives null': function (topic) {
+                assert.isNull(topic.position);
+            }
+        },
+        'vehicleLocations': {
+            topic: function (client) {
+                client.vehicleLocations(null, null, null, this.callback, true);
+            },
+            'gives each vehicle its position': function (data) {
+                var position = data.a[0].position;
+                assert.equal(position.route, 'a');
+                assert.equal(position.direction, 'a_outbound');
+                assert.isNumber(position.progress);
+                assert.isObject(position.nextStop);
+            }
+        }
+    }
+});
+
+suite.export(module);
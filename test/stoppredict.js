@@ -0,0 +1,146 @@
+var vows       = require('vows'),
+    assert     = require('assert'),
+    helpers    = require('./support/helpers');
+
+var suite = vows.describe('stopPredict filtering');
+
+// Answers with the <predictions> of a fixture that were actually asked for,
+// like nextbus does
+function predictionsFor (fixture) {
+    return {
+        predictionsForMultiStops: helpers.predictionsOf(helpers.blocks(helpers.fixture(fixture)))
+    };
+}
+
+function stopPredict (stop, direction, units) {
+    return helpers.withClient(predictionsFor('rutgers_predictions_hill.xml'), function (client, callback) {
+        client.stopPredict(stop, direction, callback, units);
+    });
+}
+
+function routes (data) {
+    return data.map(function (item) { return item.tag + '|' + item.stopTag; });
+}
+
+suite.addBatch({
+    'without a direction': {
+        topic: stopPredict('Hill Center', null),
+        'returns every route': function (topic) {
+            assert.isNull(topic.err);
+            assert.equal(topic.data.length, 10);
+        }
+    }
+});
+
+suite.addBatch({
+    'with the direction left out': {
+        topic: helpers.withClient(predictionsFor('rutgers_predictions_hill.xml'), function (client, callback) {
+            client.stopPredict('Hill Center').then(function (data) {
+                callback(null, data);
+            }, callback);
+        }),
+        'returns every route': function (topic) {
+            assert.isNull(topic.err);
+            assert.equal(topic.data.length, 10);
+        }
+    }
+});
+
+suite.addBatch({
+    'routePredict with the direction left out': {
+        topic: helpers.withClient(predictionsFor('rutgers_predictions_a.xml'), function (client, callback) {
+            client.routePredict('a').then(function (data) {
+                callback(null, data);
+            }, callback);
+        }),
+        'predicts every stop of the route': function (topic) {
+            assert.isNull(topic.err);
+            assert.deepEqual(topic.data.map(function (item) { return item.tag; }).sort(),
+                             ['busch_a', 'hillw', 'rutgerss_a', 'scott']);
+        }
+    }
+});
+
+suite.addBatch({
+    'by direction title': {
+        topic: stopPredict('Hill Center', 'To Busch Student Center'),
+        'returns routes going that way': function (topic) {
+            assert.isNull(topic.err);
+            assert.deepEqual(routes(topic.data), ['a|hillw', 'b|hillw']);
+            assert.equal(topic.data[0].direction, 'To Busch Student Center');
+            assert.deepEqual(topic.data[0].predictions, ['6', '18']);
+        }
+    }
+});
+
+suite.addBatch({
+    'by direction tag': {
+        topic: stopPredict('Hill Center', 'rexb_inbound'),
+        'returns only that direction': function (topic) {
+            assert.isNull(topic.err);
+            assert.deepEqual(routes(topic.data), ['rexb|hilln']);
+            assert.equal(topic.data[0].direction, 'To College Hall');
+            assert.deepEqual(topic.data[0].predictions, ['0', '12']);
+        }
+    }
+});
+
+suite.addBatch({
+    'by direction name': {
+        topic: helpers.withClient(predictionsFor('rutgers_predictions_hill.xml'), function (client, callback) {
+            // rutgers doesn't name its directions, so name a couple
+            var routes = client.getAgencyCache().routes;
+            routes.c.directions[1].name = 'Outbound';
+            routes.rexb.directions[1].name = 'Outbound';
+            client.stopPredict('Hill Center', 'outbound', callback);
+        }),
+        'matches case insensitively': function (topic) {
+            assert.isNull(topic.err);
+            assert.deepEqual(routes(topic.data), ['c|hillw', 'rexb|hillw']);
+        }
+    }
+});
+
+suite.addBatch({
+    'restricted to some routes': {
+        topic: stopPredict('Hill Center', null, {routes: ['c', 'h']}),
+        'returns those routes only': function (topic) {
+            assert.isNull(topic.err);
+            assert.deepEqual(routes(topic.data), ['c|hillw', 'c|hilln', 'h|hilln']);
+        }
+    },
+    'with a direction no route has': {
+        topic: helpers.withClient({}, function (client, callback) {
+            client.stopPredict('Hill Center', 'To Nowhere', callback);
+        }),
+        'returns nothing': function (topic) {
+            assert.isNull(topic.err);
+            assert.deepEqual(topic.data, []);
+        }
+    }
+});
+
+suite.addBatch({
+    'in full units': {
+        topic: stopPredict('hillw', 'a_outbound', {units: 'full'}),
+        'returns typed prediction objects': function (topic) {
+            assert.isNull(topic.err);
+            assert.deepEqual(topic.data[0].predictions[0], {
+                minutes: 6,
+                seconds: 392,
+                epochTime: 1444071832339,
+                arrival: new Date(1444071832339),
+                vehicle: '4023',
+                block: 'a_1',
+                tripTag: '151',
+                dirTag: 'a_outbound',
+                isDeparture: false,
+                affectedByLayover: true,
+                delayed: false
+            });
+            assert.isFalse(topic.data[0].predictions[1].affectedByLayover);
+        }
+    }
+});
+
+suite.export(module);
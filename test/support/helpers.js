@@ -0,0 +1,132 @@
+// Fake transports and fixture replies shared by the suites.  This lives
+// outside test/*.js since vows runs every file there as a suite.
+
+var url      = require('url'),
+    readFile = require('fs').readFileSync,
+    nextbus  = require('../../lib/index').client;
+
+var files = {};
+
+// Reads a file of test/replies, once
+function fixture (name) {
+    files[name] = files[name] || readFile(__dirname + '/../replies/' + name, 'utf8');
+    return files[name];
+}
+
+// Splits predictions xml into its <predictions> elements
+function blocks (xml) {
+    return xml.match(/<predictions [\s\S]*?<\/predictions>/g) || [];
+}
+
+// An answer with the <predictions> of list that were asked for, like nextbus
+// gives.  With fill, stops without any get an empty <predictions>.
+function predictionsOf (list, fill) {
+    return function (query) {
+        return '<body>' + [].concat(query.stops).map(function (key) {
+            var parts = key.split('|');
+            return list.filter(function (block) {
+                return block.indexOf('routeTag="' + parts[0] + '"') !== -1 &&
+                       block.indexOf('stopTag="' + parts[2] + '"') !== -1;
+            })[0] || (fill ? '<predictions routeTag="' + parts[0] + '" stopTag="' +
+                             parts[2] + '"/>' : '');
+        }).join('') + '</body>';
+    };
+}
+
+// An answer predicting from a table mapping 'route|stop' to arrays of
+// [vehicle, tripTag, minutes away], minutes being from when it's asked
+function predictionTable (live) {
+    return function (query) {
+        var now = Date.now();
+
+        return '<body>' + [].concat(query.stops).map(function (key) {
+            var parts = key.split('|');
+
+            return '<predictions routeTag="' + parts[0] + '" stopTag="' + parts[2] + '">' +
+                '<direction title="To Busch">' +
+                (live[parts[0] + '|' + parts[2]] || []).map(function (p) {
+                    return '<prediction vehicle="' + p[0] + '" tripTag="' + p[1] +
+                        '" minutes="' + p[2] + '" seconds="' + p[2] * 60 + '" epochTime="' +
+                        (now + p[2] * 60000) + '"/>';
+                }).join('') + '</direction></predictions>';
+        }).join('') + '</body>';
+    };
+}
+
+// A transport answering each command from answers, which maps commands to a
+// body, or to a function (query, uri) giving a body or {status, body}.
+// routeConfig is the rutgers one unless answers has its own, and commands
+// without an answer get a 404.  It remembers the urls and signals given.
+function transport (answers) {
+    var fake = function (uri, signal, callback) {
+        var query = url.parse(uri, true).query,
+            answer = (answers || {})[query.command],
+            reply;
+
+        fake.urls.push(uri);
+        fake.signals.push(signal);
+        if (answer === undefined && query.command === 'routeConfig') {
+            answer = fixture('rutgers_routeConfig.xml');
+        }
+        reply = typeof answer === 'function' ? answer(query, uri) : answer;
+        if (reply === undefined) {
+            reply = {status: 404, body: ''};
+        } else if (typeof reply === 'string') {
+            reply = {status: 200, body: reply};
+        }
+        setTimeout(function () {
+            callback(null, reply);
+        }, 0);
+    };
+
+    fake.urls = [];
+    fake.signals = [];
+    return fake;
+}
+
+// The urls of a transport's requests for a command
+function urlsFor (fake, command) {
+    return fake.urls.filter(function (uri) {
+        return url.parse(uri, true).query.command === command;
+    });
+}
+
+// A vows topic running run(client, callback) with a rutgers client whose
+// agency is cached through a transport answering from answers.  options go
+// to the client.  The topic is {err, data, urls, commands}, urls and
+// commands being those of the requests made after caching.
+function withClient (answers, run, options) {
+    return function () {
+        var callback = this.callback,
+            fake = transport(answers),
+            settings = {agency: 'rutgers', transport: fake},
+            client;
+
+        Object.keys(options || {}).forEach(function (key) {
+            settings[key] = options[key];
+        });
+        client = nextbus(settings);
+        client.cacheAgency(null, function (err) {
+            if (err) {
+                callback(err);
+                return;
+            }
+            fake.urls.length = 0;
+            fake.signals.length = 0;
+            run(client, function (err, data) {
+                callback(null, {err: err, data: data, urls: fake.urls,
+                                commands: fake.urls.map(function (uri) {
+                                    return url.parse(uri, true).query.command;
+                                })});
+            });
+        });
+    };
+}
+
+exports.fixture = fixture;
+exports.blocks = blocks;
+exports.predictionsOf = predictionsOf;
+exports.predictionTable = predictionTable;
+exports.transport = transport;
+exports.urlsFor = urlsFor;
+exports.withClient = withClient;
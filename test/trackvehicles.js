@@ -0,0 +1,178 @@
+var vows       = require('vows'),
+    assert     = require('assert'),
+    url        = require('url'),
+    nextbusjs  = require('../lib/index'),
+    helpers    = require('./support/helpers'),
+    nextbus    = nextbusjs.client;
+
+var suite = vows.describe('trackVehicles');
+
+function vehicle (id, lat, secs) {
+    return '<vehicle id="' + id + '" routeTag="a" dirTag="a_outbound" lat="' + lat +
+        '" lon="-74.46" secsSinceReport="' + secs + '" predictable="true"' +
+        ' heading="90" speedKmHr="20"/>';
+}
+
+// Answers vehicleLocations with each of replies in turn, then with no
+// vehicles
+function fixtures (replies) {
+    var transport = helpers.transport({
+        vehicleLocations: function () {
+            var n = transport.urls.length;
+            return '<body>' + (replies[n - 1] || []).join('') +
+                '<lastTime time="' + n + '00"/></body>';
+        }
+    });
+    return transport;
+}
+
+function track (options, replies, until) {
+    return function () {
+        var callback = this.callback, events = [], updates = [],
+            transport = fixtures(replies), urls = transport.urls, client, tracker;
+
+        client = nextbus({
+            agency: 'rutgers',
+            bounds: {lower: 40, upper: 41},
+            transport: transport
+        });
+        tracker = client.trackVehicles(options);
+        ['add', 'move', 'stale', 'remove'].forEach(function (type) {
+            tracker.on(type, function (vehicle) {
+                events.push(type + ' ' + vehicle.id);
+            });
+        });
+        tracker.on('update', function (vehicles) {
+            updates.push(vehicles);
+            if (until(events)) {
+                tracker.stop();
+                callback(null, {events: events, urls: urls, updates: updates,
+                                tracker: tracker});
+            }
+        });
+    };
+}
+
+function eventsFor (events, id) {
+    return events.filter(function (event) {
+        return event.split(' ')[1] === id;
+    }).map(function (event) {
+        return event.split(' ')[0];
+    });
+}
+
+suite.addBatch({
+    'tracking a route': {
+        topic: track({route: 'a', intervalMs: 40, staleSecs: 0.1, removeSecs: 0.3}, [
+            [vehicle('1', '40.50', 0), vehicle('2', '40.51', 0), vehicle('3', '40.52', 900)],
+            [vehicle('1', '40.55', 0)],
+            [vehicle('1', '41.50', 0)]
+        ], function (events) {
+            return events.indexOf('remove 2') !== -1;
+        }),
+        'ask for the route': function (topic) {
+            topic.urls.forEach(function (uri) {
+                assert.equal(url.parse(uri, true).query.r, 'a');
+            });
+        },
+        'ask for changes since the last response': function (topic) {
+            assert.isUndefined(url.parse(topic.urls[0], true).query.t);
+            assert.equal(url.parse(topic.urls[1], true).query.t, '100');
+            assert.equal(url.parse(topic.urls[2], true).query.t, '200');
+        },
+        'keep vehicles missing from a response': function (topic) {
+            assert.deepEqual(topic.updates[1].map(function (v) { return v.id; }).sort(),
+                             ['1', '2']);
+        },
+        'merge new reports': function (topic) {
+            var one = topic.updates[1].filter(function (v) { return v.id === '1'; })[0];
+            assert.equal(one.lat, '40.55');
+            assert.equal(one.route, 'a');
+            assert.isNumber(one.reportTime);
+        },
+        'add, move and remove vehicles leaving the bounds': function (topic) {
+            assert.deepEqual(eventsFor(topic.events, '1'), ['add', 'move', 'remove']);
+        },
+        'go stale and then drop vehicles without reports': function (topic) {
+            assert.deepEqual(eventsFor(topic.events, '2'), ['add', 'stale', 'remove']);
+        },
+        'leave out vehicles that reported too long ago': function (topic) {
+            assert.deepEqual(eventsFor(topic.events, '3'), []);
+        },
+        'end up empty': function (topic) {
+            assert.deepEqual(topic.tracker.vehicles(), []);
+        }
+    },
+    'stopping': {
+        topic: function () {
+            var callback = this.callback, transport = fixtures([]), tracker;
+
+            tracker = nextbus({agency: 'rutgers', transport: transport})
+                .trackVehicles({intervalMs: 10});
+            tracker.once('update', function () {
+                tracker.stop();
+                setTimeout(function () {
+                    callback(null, transport.urls);
+                }, 50);
+            });
+        },
+        'stops polling': function (urls) {
+            assert.equal(urls.length, 1);
+            assert.isUndefined(url.parse(urls[0], true).query.r);
+        }
+    },
+    'destroying the client': {
+        topic: function () {
+            var callback = this.callback, urls = [], client, events = [];
+
+            client = nextbus({agency: 'rutgers', transport: function (uri, signal, cb) {
+                urls.push(uri);
+            }});
+            client.trackVehicles({intervalMs: 10}).on('error', function (err) {
+                events.push(err);
+            });
+            setTimeout(function () {
+                client.destroy();
+                setTimeout(function () {
+                    callback(null, {urls: urls, events: events});
+                }, 50);
+            }, 20);
+        },
+        'stops its trackers': function (topic) {
+            assert.equal(topic.urls.length, 1);
+            assert.deepEqual(topic.events, []);
+        }
+    },
+    'bad options': {
+        topic: nextbus({agency: 'rutgers'}),
+        'throw InvalidArgumentError': function (client) {
+            assert.throws(function () {
+                client.trackVehicles({intervalMs: 0});
+            }, nextbusjs.InvalidArgumentError);
+            assert.throws(function () {
+                client.trackVehicles({staleSecs: 60, removeSecs: 30});
+            }, nextbusjs.InvalidArgumentError);
+        }
+    },
+    'vehicleLocations for different routes': {
+        topic: function () {
+            var callback = this.callback, transport = fixtures([]),
+                client = nextbus({agency: 'rutgers', transport: transport});
+
+            client.vehicleLocations(null, null, 'a', function (err) {
+                if (err) {
+                    callback(err);
+                    return;
+                }
+                client.vehicleLocations(null, null, null, function (err) {
+                    callback(err, transport.urls);
+                });
+            });
+        },
+        'keep a lastTime for each route': function (urls) {
+            assert.isUndefined(url.parse(urls[1], true).query.t);
+        }
+    }
+});
+
+suite.export(module);
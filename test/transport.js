@@ -0,0 +1,289 @@
+var vows       = require('vows'),
+    assert     = require('assert'),
+    http       = require('http'),
+    helpers    = require('./support/helpers'),
+    nextbusjs  = require('../lib/index'),
+    nextbus    = nextbusjs.client;
+
+var suite = vows.describe('transport');
+
+// Never answers, recording whether the request was aborted
+function hanging () {
+    var transport = function (url, signal) {
+        signal.addEventListener('abort', function () {
+            transport.aborted = signal.aborted;
+        });
+    };
+    transport.aborted = false;
+    return transport;
+}
+
+suite.addBatch({
+    'a fake transport': {
+        topic: function () {
+            var transport = helpers.transport({agencyList: helpers.fixture('agencyList.xml')}),
+                callback = this.callback;
+            nextbus({transport: transport}).agencyList(function (err, data) {
+                callback(err, {data: data, transport: transport});
+            });
+        },
+        'is used for queries': function (err, topic) {
+            assert.isNull(err);
+            assert.equal(topic.data.length, 3);
+            assert.deepEqual(topic.transport.urls, [
+                'http://webservices.nextbus.com/service/publicXMLFeed?command=agencyList'
+            ]);
+        },
+        'gets an unaborted signal': function (err, topic) {
+            assert.isFalse(topic.transport.signals[0].aborted);
+            assert.isFunction(topic.transport.signals[0].addEventListener);
+        }
+    },
+    'a bad status': {
+        topic: function () {
+            nextbus({transport: helpers.transport()}).agencyList(this.callback);
+        },
+        'is an error': function (err, data) {
+            assert.match(err.message, /404/);
+        }
+    },
+    'a network failure': {
+        topic: function () {
+            var callback = this.callback, logged = [], log = console.log;
+
+            console.log = function () {
+                logged.push([].slice.call(arguments));
+            };
+            nextbus({transport: function (url, signal, cb) {
+                cb(new Error('ECONNRESET'), null);
+            }}).agencyList(function (err) {
+                console.log = log;
+                callback(null, {err: err, logged: logged});
+            });
+        },
+        'is only given to the callback': function (topic) {
+            assert.equal(topic.err.name, 'NetworkError');
+            assert.deepEqual(topic.logged, []);
+        }
+    },
+    'the client timeout': {
+        topic: function () {
+            var transport = hanging(), callback = this.callback;
+            nextbus({transport: transport, timeoutMs: 20}).agencyList(function (err) {
+                callback(null, {err: err, transport: transport});
+            });
+        },
+        'aborts the request': function (topic) {
+            assert.equal(topic.err.name, 'TimeoutError');
+            assert.isTrue(topic.transport.aborted);
+        }
+    },
+    'destroying the client': {
+        topic: function () {
+            var transport = hanging(), callback = this.callback,
+                client = nextbus({transport: transport});
+            client.agencyList(function (err) {
+                client.agencyList(function (later) {
+                    callback(null, {err: err, later: later, transport: transport});
+                });
+            });
+            client.destroy();
+        },
+        'aborts queries in flight': function (topic) {
+            assert.equal(topic.err.name, 'AbortError');
+            assert.isTrue(topic.transport.aborted);
+        },
+        'fails later queries': function (topic) {
+            assert.equal(topic.later.name, 'AbortError');
+        }
+    }
+});
+
+suite.addBatch({
+    'a per call timeout': {
+        topic: function () {
+            var callback = this.callback,
+                transport = helpers.transport(),
+                client;
+            client = nextbus({agency: 'rutgers', timeoutMs: 60000, transport: function (url, signal, cb) {
+                if (/routeConfig/.test(url)) {
+                    transport(url, signal, cb);
+                }
+            }});
+            client.cacheAgency(null, function (err) {
+                if (err) {
+                    callback(err);
+                    return;
+                }
+                client.routePredict('a', null, function (err) {
+                    callback(null, err);
+                }, {timeoutMs: 20});
+            });
+        },
+        'overrides the client timeout': function (err) {
+            assert.equal(err.name, 'TimeoutError');
+        }
+    }
+});
+
+suite.addBatch({
+    'per call timeouts on the other commands': {
+        topic: function () {
+            var callback = this.callback, errs = {}, left = 6,
+                client = nextbus({agency: 'rutgers', timeoutMs: 60000, transport: hanging()}),
+                fast = {timeoutMs: 20};
+
+            function done (name) {
+                return function (err) {
+                    errs[name] = err;
+                    if (--left === 0) {
+                        callback(null, errs);
+                    }
+                };
+            }
+
+            client.cacheAgency(null, done('cacheAgency'), fast);
+            client.agencyList(done('agencyList'), fast);
+            client.vehicleLocations(null, null, null, done('vehicleLocations'), fast);
+            client.getSchedule('a', done('getSchedule'), fast);
+            client.getMessages(null, done('getMessages'), fast);
+            client.cacheAgency(null, fast).then(null, done('cacheAgency promise'));
+        },
+        'override the client timeout': function (errs) {
+            assert.deepEqual(Object.keys(errs).sort(), [
+                'agencyList', 'cacheAgency', 'cacheAgency promise', 'getMessages',
+                'getSchedule', 'vehicleLocations'
+            ]);
+            Object.keys(errs).forEach(function (name) {
+                assert.equal(errs[name].name, 'TimeoutError');
+            });
+        }
+    }
+});
+
+// Hands each body of bodies, one per request, to onData in chunks of
+// size characters, recording whether it could
+function chunked (bodies, size) {
+    var transport = function (url, signal, callback, onData) {
+        var body = bodies.shift(), i;
+
+        transport.streamed.push(typeof onData === 'function');
+        transport.signals.push(signal);
+        for (i = 0; i < body.length && !signal.aborted; i += size) {
+            onData(body.slice(i, i + size));
+        }
+        setTimeout(function () {
+            callback(null, {status: 200});
+        }, 0);
+    };
+    transport.streamed = [];
+    transport.signals = [];
+    return transport;
+}
+
+function cache (transport, options) {
+    return function () {
+        var callback = this.callback,
+            client = nextbus({agency: 'rutgers', transport: transport, retries: options && options.retries,
+                              retryDelayMs: 1});
+
+        client.cacheAgency(null, function (err, data) {
+            callback(null, {err: err, data: data, transport: transport});
+        });
+    };
+}
+
+var routeConfig = helpers.fixture('rutgers_routeConfig.xml'),
+    whole;
+
+suite.addBatch({
+    'the agency cache from a whole response': {
+        topic: cache(helpers.transport()),
+        'is kept to compare with': function (topic) {
+            assert.isNull(topic.err);
+            whole = topic.data;
+        }
+    }
+});
+
+suite.addBatch({
+    'a routeConfig handed over in chunks': {
+        // the odd size splits tags, attributes and entities
+        topic: cache(chunked([routeConfig], 97)),
+        'is read as it arrives': function (topic) {
+            assert.isNull(topic.err);
+            assert.deepEqual(topic.transport.streamed, [true]);
+        },
+        'gives the same cache as a whole response': function (topic) {
+            assert.deepEqual(topic.data, whole);
+        }
+    },
+    'a streamed nextbus error': {
+        topic: cache(chunked(['<body><Error shouldRetry="true">\n  Too busy\n</Error></body>',
+                              routeConfig], 10), {retries: 1}),
+        'is retried like a whole one': function (topic) {
+            assert.isNull(topic.err);
+            assert.equal(topic.transport.streamed.length, 2);
+            assert.equal(Object.keys(topic.data.routes).length, Object.keys(whole.routes).length);
+        }
+    },
+    'a streamed nextbus error without shouldRetry': {
+        topic: cache(chunked(['<body><Error shouldRetry="false">Agency parameter "a=x" is not valid.</Error></body>'],
+                             10), {retries: 1}),
+        'is a NextbusApiError': function (topic) {
+            assert.instanceOf(topic.err, nextbusjs.NextbusApiError);
+            assert.equal(topic.err.message, 'nextbusjs: Agency parameter "a=x" is not valid.');
+            assert.equal(topic.transport.streamed.length, 1);
+        }
+    },
+    'malformed xml handed over in chunks': {
+        topic: cache(chunked(['<body><route tag="a"></stop>' + routeConfig], 10)),
+        'is a ParseError with the url': function (topic) {
+            assert.instanceOf(topic.err, nextbusjs.ParseError);
+            assert.match(topic.err.url, /command=routeConfig/);
+        },
+        'stops the request': function (topic) {
+            assert.isTrue(topic.transport.signals[0].aborted);
+        }
+    }
+});
+
+suite.addBatch({
+    'the default transport': {
+        topic: function () {
+            var callback = this.callback,
+                server = http.createServer(function (req, res) {
+                    var i = 0;
+
+                    res.writeHead(200, {'Content-Type': 'text/xml'});
+                    (function next () {
+                        if (i >= routeConfig.length) {
+                            res.end();
+                            return;
+                        }
+                        res.write(routeConfig.slice(i, i + 65536));
+                        i += 65536;
+                        setTimeout(next, 1);
+                    }());
+                });
+
+            server.listen(0, '127.0.0.1', function () {
+                var client = nextbus({
+                    agency: 'rutgers',
+                    baseURL: 'http://127.0.0.1:' + server.address().port + '/service/publicXMLFeed'
+                });
+
+                client.cacheAgency(null, function (err, data) {
+                    server.close();
+                    callback(null, {err: err, data: data});
+                });
+            });
+        },
+        'streams the routeConfig into the cache': function (topic) {
+            assert.isNull(topic.err);
+            assert.deepEqual(topic.data, whole);
+        }
+    }
+});
+
+suite.export(module);
@@ -0,0 +1,87 @@
+var vows       = require('vows'),
+    assert     = require('assert'),
+    url        = require('url'),
+    nextbusjs  = require('../lib/index'),
+    helpers    = require('./support/helpers');
+
+var suite = vows.describe('tripEta');
+
+// vehicle, trip and minutes away for each route|stop predicted
+var live = {
+    'a|scott' : [['4023', 'A1', 5], ['4091', 'A2', 12]],
+    'a|hillw' : [['4100', 'A0', 3], ['4023', 'A1', 11], ['4091', 'A2', 18]],
+    's|scott' : [['5000', '', 2]],
+    's|hillw' : [['5001', '', 4], ['5000', '', 9]]
+};
+
+function eta (origin, destination, options) {
+    return helpers.withClient({
+        predictionsForMultiStops: helpers.predictionTable(live)
+    }, function (client, callback) {
+        client.tripEta(origin, destination, options, callback);
+    });
+}
+
+function trips (data) {
+    return data.map(function (trip) {
+        return [trip.route, trip.vehicle, trip.rideMinutes];
+    });
+}
+
+suite.addBatch({
+    'on a route': {
+        topic: eta('Scott Hall', 'Hill Center', {route: 'a'}),
+        'joins the trips at both stops': function (topic) {
+            assert.isNull(topic.err);
+            assert.deepEqual(trips(topic.data), [['a', '4023', 6], ['a', '4091', 6]]);
+        },
+        'gives departure and arrival times': function (topic) {
+            var trip = topic.data[0];
+            assert.instanceOf(trip.departure, Date);
+            assert.equal(trip.arrival - trip.departure, 6 * 60000);
+            assert.equal(trip.tripTag, 'A1');
+            assert.equal(trip.origin, 'scott');
+            assert.equal(trip.destination, 'hillw');
+            assert.equal(trip.direction, 'a_outbound');
+        },
+        'makes one request for both stops': function (topic) {
+            assert.equal(topic.urls.length, 1);
+            assert.deepEqual([].concat(url.parse(topic.urls[0], true).query.stops).sort(),
+                             ['a|null|hillw', 'a|null|scott']);
+        }
+    },
+    'on every route': {
+        topic: eta('scott', 'hillw'),
+        'matches vehicles without trip tags': function (topic) {
+            assert.deepEqual(trips(topic.data),
+                             [['s', '5000', 7], ['a', '4023', 6], ['a', '4091', 6]]);
+        },
+        'still makes one request': function (topic) {
+            assert.equal(topic.urls.length, 1);
+        }
+    },
+    'against the direction of travel': {
+        topic: eta('hillw', 'scott', {route: 'a'}),
+        'finds nothing without asking': function (topic) {
+            assert.deepEqual(topic.data, []);
+            assert.equal(topic.urls.length, 0);
+        }
+    },
+    'errors': {
+        'an unknown destination': {
+            topic: eta('scott', 'nowhere'),
+            'is an UnknownStopError': function (topic) {
+                assert.instanceOf(topic.err, nextbusjs.UnknownStopError);
+                assert.equal(topic.err.stop, 'nowhere');
+            }
+        },
+        'an unknown route': {
+            topic: eta('scott', 'hillw', {route: 'nope'}),
+            'is an UnknownRouteError': function (topic) {
+                assert.instanceOf(topic.err, nextbusjs.UnknownRouteError);
+            }
+        }
+    }
+});
+
+suite.export(module);
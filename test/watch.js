@@ -0,0 +1,150 @@
+var vows       = require('vows'),
+    assert     = require('assert'),
+    nextbusjs  = require('../lib/index'),
+    helpers    = require('./support/helpers'),
+    nextbus    = nextbusjs.client;
+
+var suite = vows.describe('watchStop and watchRoute');
+
+// predictions for route a at scott, a reply of null is a 500
+function predictions (reply) {
+    return '<body><predictions routeTag="a" routeTitle="A" stopTag="scott"' +
+        ' stopTitle="Scott Hall"><direction title="To Busch">' +
+        reply.map(function (p) {
+            return '<prediction vehicle="' + p[0] + '" seconds="' + p[1] +
+                '" minutes="' + Math.floor(p[1] / 60) + '" epochTime="' +
+                (1444071500000 + p[1] * 1000) + '" dirTag="a_outbound"' +
+                ' tripTag="t' + p[0] + '"/>';
+        }).join('') + '</direction></predictions></body>';
+}
+
+// Answers prediction requests with each of replies in turn, calling done
+// with the times they were asked for once they run out
+function fixtures (replies, done) {
+    var times = [];
+
+    return helpers.transport({
+        predictionsForMultiStops: function () {
+            var reply = replies[times.push(Date.now()) - 1];
+
+            if (times.length > replies.length) {
+                done(times);
+            }
+            return reply ? predictions(reply) : {status: 500, body: ''};
+        }
+    });
+}
+
+function watchScott (opts, replies) {
+    return function () {
+        var callback = this.callback, events = [], client, watcher;
+
+        client = nextbus({agency: 'rutgers', transport: fixtures(replies, function (times) {
+            watcher.stop();
+            callback(null, {events: events, times: times, watcher: watcher});
+        })});
+        client.cacheAgency(null, function (err) {
+            if (err) {
+                callback(err);
+                return;
+            }
+            watcher = client.watchStop('scott', opts);
+            watcher.on('update', function (data, previous) {
+                events.push({type: 'update', data: data, previous: previous});
+            });
+            watcher.on('arriving', function (prediction, item) {
+                events.push({type: 'arriving', prediction: prediction, item: item});
+            });
+            watcher.on('error', function (err) {
+                events.push({type: 'error', err: err});
+            });
+        });
+    };
+}
+
+function types (events) {
+    return events.map(function (event) { return event.type; });
+}
+
+suite.addBatch({
+    'watching a stop': {
+        topic: watchScott({intervalMs: 20, minIntervalMs: 5, maxIntervalMs: 300}, [
+            [['1', 300]],
+            [['1', 310]],
+            [['1', 50]],
+            [['1', 40]],
+            null,
+            []
+        ]),
+        'emit update only for changes': function (topic) {
+            assert.deepEqual(types(topic.events),
+                             ['update', 'update', 'arriving', 'error', 'update']);
+        },
+        'give the predictions in full units': function (topic) {
+            var item = topic.events[0].data[0];
+            assert.equal(item.tag, 'a');
+            assert.equal(item.stopTag, 'scott');
+            assert.equal(item.predictions[0].vehicle, '1');
+            assert.equal(item.predictions[0].seconds, 300);
+        },
+        'give the previous predictions': function (topic) {
+            assert.isNull(topic.events[0].previous);
+            assert.strictEqual(topic.events[1].previous, topic.events[0].data);
+        },
+        'emit arriving once for a vehicle': function (topic) {
+            assert.equal(topic.events[2].prediction.vehicle, '1');
+            assert.equal(topic.events[2].item.stopTag, 'scott');
+        },
+        'emit errors and carry on': function (topic) {
+            assert.instanceOf(topic.events[3].err, nextbusjs.HttpError);
+            assert.equal(topic.times.length, 7);
+        },
+        'keep the last predictions': function (topic) {
+            assert.strictEqual(topic.watcher.current(), topic.events[4].data);
+            assert.isNull(topic.watcher.current()[0].predictions);
+        },
+        'slow down when nothing is running': function (topic) {
+            var gaps = topic.times.slice(1).map(function (time, i) {
+                return time - topic.times[i];
+            });
+            assert.isTrue(gaps[5] >= 250);
+            assert.isTrue(gaps[0] < 250);
+        }
+    },
+    'watching a route': {
+        topic: function () {
+            var callback = this.callback, client, watcher;
+
+            client = nextbus({agency: 'rutgers', transport: fixtures([[['1', 300]]], function () {})});
+            client.cacheAgency(null, function (err) {
+                if (err) {
+                    callback(err);
+                    return;
+                }
+                watcher = client.watchRoute('a', null);
+                watcher.once('update', function (data) {
+                    watcher.stop();
+                    callback(null, data);
+                });
+            });
+        },
+        'gives routePredict results': function (data) {
+            assert.equal(data.length, 1);
+            assert.equal(data[0].tag, 'scott');
+            assert.equal(data[0].predictions[0].minutes, 5);
+        }
+    },
+    'bad options': {
+        topic: nextbus({agency: 'rutgers'}),
+        'throw InvalidArgumentError': function (client) {
+            assert.throws(function () {
+                client.watchStop('scott', {arrivingSecs: -1});
+            }, nextbusjs.InvalidArgumentError);
+            assert.throws(function () {
+                client.watchRoute('a', null, {intervalMs: 1000, maxIntervalMs: 500});
+            }, nextbusjs.InvalidArgumentError);
+        }
+    }
+});
+
+suite.export(module);